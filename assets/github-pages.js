@@ -3,6 +3,154 @@
  * Handles file listing, internationalization, and user interactions
  */
 
+// Listing layouts: folder-by-folder, every file, or every file under group headers
+const LISTING_LAYOUTS = ['folders', 'flat', 'grouped', 'resolution', 'world', 'timeline'];
+
+// Layouts that render group headers, mapped to the key they group by
+const LAYOUT_GROUPING = {
+    grouped: 'folder',
+    resolution: 'resolution',
+    world: 'world'
+};
+
+// Icon labels by extension, grouped into the categories the type filter offers
+const FILE_TYPES = {
+    image: {
+        'jpg': 'IMG', 'jpeg': 'IMG', 'png': 'IMG', 'gif': 'IMG', 'svg': 'IMG', 'webp': 'IMG'
+    },
+    video: {
+        'mp4': 'VID', 'm4v': 'VID', 'webm': 'VID', 'mov': 'VID', 'mkv': 'VID', 'ogv': 'VID'
+    },
+    audio: {
+        'mp3': 'AUD', 'wav': 'AUD', 'ogg': 'AUD', 'oga': 'AUD', 'flac': 'AUD', 'm4a': 'AUD', 'aac': 'AUD', 'opus': 'AUD'
+    },
+    document: {
+        'pdf': 'PDF', 'doc': 'DOC', 'docx': 'DOC', 'txt': 'TXT', 'md': 'MD', 'readme': 'MD'
+    },
+    code: {
+        'js': 'JS', 'ts': 'TS', 'jsx': 'JSX', 'tsx': 'TSX', 'html': 'HTM', 'css': 'CSS', 'scss': 'CSS',
+        'py': 'PY', 'java': 'JAV', 'cpp': 'CPP', 'c': 'C', 'php': 'PHP', 'rb': 'RB'
+    },
+    config: {
+        'json': 'CFG', 'xml': 'CFG', 'yml': 'CFG', 'yaml': 'CFG', 'toml': 'CFG', 'ini': 'CFG'
+    },
+    archive: {
+        'zip': 'ZIP', 'tar': 'TAR', 'gz': 'GZ', 'rar': 'RAR', '7z': '7Z'
+    }
+};
+
+// Sort keys offered by the toolbar
+const SORT_KEYS = ['name', 'size', 'type', 'captured'];
+
+// The file list only builds rows within this distance of the viewport
+const LIST_OVERSCAN_PX = 800;
+
+// Row heights assumed until a row of the same kind has been measured
+const ROW_HEIGHT_ESTIMATES = { item: 58, cards: 240, group: 38, month: 40, day: 38 };
+
+// Narrowest gallery card, as in the .files-grid column template
+const GALLERY_MIN_CARD_WIDTH = 160;
+
+// Type-ahead starts a new search after this pause between keys
+const TYPE_AHEAD_RESET_MS = 700;
+
+/**
+ * Error raised for unsuccessful GitHub API responses
+ *
+ * `code` names the failure where the status alone is ambiguous: offline,
+ * network_error (no answer from GitHub, and no cached copy from the service worker
+ * if one is installed) or malformed.
+ */
+class GitHubApiError extends Error {
+    constructor(message, { status = 0, code = null, rateLimited = false, resetAt = null } = {}) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.code = code;
+        this.rateLimited = rateLimited;
+        this.resetAt = resetAt;
+    }
+}
+
+// Service worker replies are given up on after this long, per file for pinning;
+// a worker from an older deploy may not answer at all
+const WORKER_MESSAGE_TIMEOUT = 10000;
+
+// New and updated badges count as seen once they have been on screen this long in total
+const CHANGES_SEEN_AFTER = 60 * 1000;
+
+// Automatic retries for transient errors wait 2s, 4s, 8s... up to a minute
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 60000;
+
+// Cache Storage records shared with the service worker, keyed under STATE_URL_PATH
+const STATE_CACHE_NAME = 'github-pages-state-v1';
+const STATE_URL_PATH = '/__github-pages-state__/';
+const SYNC_TAG = 'github-data-sync';
+const PERIODIC_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+// The Contents API takes the whole file base64-encoded in one JSON body
+const UPLOAD_SIZE_LIMIT = 50 * 1024 * 1024;
+
+// GitHub Pages sites have a 1 GB soft size limit
+const PAGES_SIZE_LIMIT = 1024 * 1024 * 1024;
+
+// Shares of the size limit that raise a warning; the last one is shown as urgent
+const STORAGE_WARNING_THRESHOLDS = [0.75, 0.9];
+
+// Rows shown in the storage card's month and largest-file lists
+const STORAGE_MONTH_ROWS = 12;
+const STORAGE_LARGEST_ROWS = 5;
+
+// Oldest activity log entries are dropped beyond this many
+const ACTIVITY_LOG_LIMIT = 1000;
+
+// Columns of the CSV listing export, in order
+const EXPORT_COLUMNS = ['path', 'type', 'size', 'sha', 'pages_url', 'raw_url', 'captured_at', 'width', 'height'];
+
+// Base languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// PNG metadata is read from this many leading bytes, and the same trailing bytes if needed
+const PNG_RANGE_BYTES = 64 * 1024;
+
+// Gallery cards show images larger than THUMBNAIL_MIN_BYTES downscaled to this width (about
+// twice a card, for high-density screens), making a few at a time
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_MIN_BYTES = 256 * 1024;
+const THUMBNAIL_CONCURRENCY = 4;
+
+// Slideshow intervals offered, in seconds, and the orders it can play in
+const SLIDESHOW_INTERVALS = [3, 5, 10, 20, 60];
+const SLIDESHOW_ORDERS = ['chronological', 'shuffle'];
+
+// Slideshow controls and the pointer hide, and hover stops pausing, after this long without movement
+const SLIDESHOW_IDLE_MS = 3000;
+
+// Kiosk mode reloads the listing this often so new uploads join the slideshow
+const KIOSK_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// Perceptual hashes differing in at most this many of their 64 bits count as near-duplicates
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+// Raster formats the browser decodes for perceptual hashing
+const HASHABLE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif'];
+
+// ZIP entries use data descriptors (bit 3) and UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+
+// Without a save picker the archive is kept as Blobs of this size, which browsers can page out
+const ZIP_BLOB_PART_SIZE = 64 * 1024 * 1024;
+
+// ...but the whole archive is still held until the download starts, so bigger ones are refused
+const ZIP_MEMORY_LIMIT = 512 * 1024 * 1024;
+
+// owner/name as accepted by the repository switcher
+const REPO_PATTERN = /^[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+// Most pages fetched for a branch, tag or repository list (requested 100 entries at a time)
+const LIST_MAX_PAGES = 10;
+
 class GitHubPagesBrowser {
     constructor(config) {
         this.config = {
@@ -15,6 +163,170 @@ class GitHubPagesBrowser {
         this.currentLanguage = this.detectLanguage();
         this.elements = this.getElements();
 
+        // Folder currently shown, relative to the repository root ('' = root)
+        this.currentPath = '';
+        this.loadRequestId = 0;
+
+        // 'tree' reads the whole repository in one Git Trees request, 'contents' one folder at a time
+        this.listingMode = this.config.listingMode === 'contents' ? 'contents' : 'tree';
+        this.layout = this.detectLayout();
+        this.treeListing = null;
+        this.files = [];
+
+        // Virtualized file list: flat rows for the current listing, the files they show in
+        // order, and measured heights and reusable elements keyed by row or item
+        this.listRows = [];
+        this.listItems = [];
+        this.listItemsByKey = new Map();
+        this.listColumns = 1;
+        this.listGap = 0;
+        this.listVersion = 0;
+        this.listFrame = null;
+        this.rowOffsets = null;
+        this.rowHeights = new Map();
+        this.kindHeights = new Map();
+        this.rowElements = new Map();
+        this.listSpacers = [];
+        this.activeItemKey = null;
+        this.typeAhead = { text: '', timer: null };
+
+        // Repository and ref being browsed; a null ref means the default branch
+        this.defaultRepo = this.config.repo;
+        this.ref = null;
+        this.repoInfo = null;
+        this.refs = null;
+        this.refsLoading = false;
+        this.ownerRepos = null;
+
+        // Whether this.ref names a 'branch' or a 'tag' (null until known); only branches take commits
+        this.refKind = null;
+
+        // Branch and folder Pages publishes from: undefined until known, null without Pages
+        this.pagesSource = undefined;
+        this.displayedFiles = [];
+
+        // Sort and filters start from the page URL; absent parameters mean the defaults
+        this.readFilterState();
+        this.readSourceState();
+        this.metadataParser = new FilenameMetadataParser();
+        (this.config.filenamePatterns || []).forEach(pattern => {
+            // One bad pattern in the config should not take the whole browser down
+            try {
+                this.metadataParser.register(pattern);
+            } catch (error) {
+                console.warn('Skipping filename pattern:', pattern, error);
+            }
+        });
+        this.metadataCache = new Map();
+
+        // Keys each language had to borrow from a fallback language this session
+        this.missingTranslations = new Map();
+
+        // Intl formatters are costly to build, so they are shared per language and options
+        this.numberFormats = new Map();
+
+        // Embedded PNG metadata by blob SHA (null when unreadable), and reads in flight
+        this.pngMetadata = new Map();
+        this.pngMetadataPending = new Map();
+        this.pngMetadataLoading = false;
+
+        // Downscaled gallery thumbnails by blob SHA: promises of object URLs (null when not possible)
+        this.thumbnails = new Map();
+        this.thumbnailsActive = 0;
+        this.thumbnailWaiters = [];
+
+        // Conditional request cache (endpoint -> { etag, data }) and the last seen quota
+        this.etagCache = new Map();
+        this.rateLimit = null;
+        this.retryTimer = null;
+
+        // Set while an explicit refresh loads, so requests skip the service worker's freshness window
+        this.bypassCache = false;
+
+        // API calls, errors and writes of this session, downloadable for debugging
+        this.activityLog = [];
+        this.retryAttempt = 0;
+        this.lastError = null;
+
+        // Oldest service worker cache entry the current listing was built from
+        this.cachedAt = null;
+
+        // Media the service worker holds for offline use: url -> { pinned }
+        this.offlineMedia = new Map();
+        this.storageStatus = null;
+
+        // Files added or modified since the last visit: { added, modified, folders } sets
+        this.changes = null;
+
+        // How long the current badges have been on screen: finished stretches plus the one in progress
+        this.changesShown = { total: 0, since: null };
+
+        // Installed service worker waiting for the user to accept the update
+        this.waitingWorker = null;
+
+        // Paths ticked for bulk delete, rename and move
+        this.selection = new Set();
+        this.selectionMessage = null;
+        // Resolves the question open in the selection dialog
+        this.selectionDialogResolve = null;
+        this.committing = false;
+
+        // Files being bundled in the ZIP dialog: { files, name, size, controller, running }
+        this.zipJob = null;
+        this.zipMemoryLimit = this.config.zipMemoryLimit || ZIP_MEMORY_LIMIT;
+
+        // Perceptual hashes by blob SHA (null when the image could not be decoded)
+        this.imageHashes = new Map();
+        this.duplicateDistance = Number.isInteger(this.config.duplicateDistance)
+            ? this.config.duplicateDistance
+            : NEAR_DUPLICATE_DISTANCE;
+
+        // Files scanned in the duplicates dialog: { files, groups, controller, running }
+        this.duplicateJob = null;
+
+        // Slideshow settings used when the page URL does not carry any
+        this.slideshowDefaults = {
+            order: SLIDESHOW_ORDERS.includes(this.config.slideshowOrder) ? this.config.slideshowOrder : 'chronological',
+            interval: this.config.slideshowInterval > 0 ? this.config.slideshowInterval : 5
+        };
+
+        // Slideshow rotation and playback; each shown slide bumps token so stale loads are dropped
+        this.slideshow = {
+            files: [],
+            index: -1,
+            ...this.slideshowDefaults,
+            paused: false,
+            hovered: false,
+            layer: 0,
+            failures: 0,
+            token: 0,
+            timer: null,
+            idleTimer: null
+        };
+        this.readSlideshowState();
+
+        // ?kiosk=1 hides the page chrome and starts the slideshow once the listing loads
+        this.kiosk = new URLSearchParams(window.location.search).get('kiosk') === '1';
+        this.kioskPending = this.kiosk;
+
+        // Files queued in the upload dialog
+        this.uploadQueue = [];
+        this.uploading = false;
+        this.uploadSizeLimit = this.config.uploadSizeLimit || UPLOAD_SIZE_LIMIT;
+
+        // Size limit the storage card measures against, and the shares of it that warn
+        this.storageLimit = this.config.storageLimit || PAGES_SIZE_LIMIT;
+        this.storageWarnings = (Array.isArray(this.config.storageWarnings) ? this.config.storageWarnings : STORAGE_WARNING_THRESHOLDS)
+            .filter(threshold => typeof threshold === 'number' && threshold > 0)
+            .sort((a, b) => a - b);
+
+        this.viewMode = this.detectViewMode();
+        this.lightboxItems = [];
+        this.lightboxIndex = -1;
+
+        // File named by a #/view/ route, opened once its listing is shown
+        this.pendingView = null;
+
         this.init();
     }
 
@@ -23,32 +335,236 @@ class GitHubPagesBrowser {
      */
     detectLanguage() {
         try {
-            const stored = localStorage.getItem('github_pages_lang');
-            if (stored && this.config.translations[stored]) {
+            const requested = this.resolveLanguage(new URLSearchParams(window.location.search).get('lang'));
+            if (requested) {
+                return requested;
+            }
+
+            const stored = this.resolveLanguage(localStorage.getItem('github_pages_lang'));
+            if (stored) {
                 return stored;
             }
 
-            const browserLang = (navigator.language || navigator.userLanguage || 'en').split('-')[0];
-            return this.config.translations[browserLang] ? browserLang : 'en';
+            const browserLanguages = navigator.languages && navigator.languages.length > 0
+                ? navigator.languages
+                : [navigator.language || navigator.userLanguage || 'en'];
+
+            for (const tag of browserLanguages) {
+                const language = this.resolveLanguage(tag);
+                if (language) return language;
+            }
+
+            return 'en';
         } catch (error) {
             console.warn('Language detection failed:', error);
             return 'en';
         }
     }
 
+    /**
+     * Match a BCP 47 tag to a configured language: exactly, by language and region, then by base language
+     *
+     * zh-Hant-TW finds zh-TW, and fr-BE finds fr. Returns null when nothing matches.
+     */
+    resolveLanguage(tag) {
+        if (!tag) return null;
+
+        const codes = Object.keys(this.config.translations);
+        const find = (candidate) => codes.find(code => code.toLowerCase() === candidate) || null;
+        const parts = tag.toLowerCase().replace(/_/g, '-').split('-');
+        const region = parts.slice(1).find(part => /^([a-z]{2}|\d{3})$/.test(part));
+
+        return find(parts.join('-')) ||
+            (region ? find(`${parts[0]}-${region}`) : null) ||
+            find(parts[0]);
+    }
+
+    /**
+     * Get the languages a key is looked up in, most specific first: region, base language, then English
+     */
+    getLanguageChain(language = this.currentLanguage) {
+        const chain = [language, language.split('-')[0], 'en'];
+
+        return chain.filter((code, index) => chain.indexOf(code) === index && this.config.translations[code]);
+    }
+
+    /**
+     * Whether a language is written right to left
+     */
+    isRtl(language = this.currentLanguage) {
+        return RTL_LANGUAGES.includes(language.split('-')[0].toLowerCase());
+    }
+
+    /**
+     * Restore the listing layout chosen on a previous visit
+     */
+    detectLayout() {
+        try {
+            const stored = localStorage.getItem('github_pages_layout');
+            return LISTING_LAYOUTS.includes(stored) ? stored : 'folders';
+        } catch (error) {
+            return 'folders';
+        }
+    }
+
+    /**
+     * Restore the list/gallery view chosen on a previous visit
+     */
+    detectViewMode() {
+        try {
+            const requested = new URLSearchParams(window.location.search).get('view');
+            if (['list', 'grid'].includes(requested)) {
+                return requested;
+            }
+
+            return localStorage.getItem('github_pages_view') === 'grid' ? 'grid' : 'list';
+        } catch (error) {
+            return 'list';
+        }
+    }
+
     /**
      * Get DOM elements
      */
     getElements() {
         return {
             filesList: document.getElementById('files-list'),
+            listStatus: document.getElementById('list-status'),
+            breadcrumb: document.getElementById('breadcrumb'),
+            layoutSelect: document.getElementById('layout-select'),
+            repoInput: document.getElementById('repo-input'),
+            repoOptions: document.getElementById('repo-options'),
+            refSelect: document.getElementById('ref-select'),
+            refNotice: document.getElementById('ref-notice'),
+            timelineIndex: document.getElementById('timeline-index'),
+            filterSearch: document.getElementById('filter-search'),
+            filterMatch: document.getElementById('filter-match'),
+            filterWorld: document.getElementById('filter-world'),
+            filterTypes: document.getElementById('filter-types'),
+            filterSizeMin: document.getElementById('filter-size-min'),
+            filterSizeMax: document.getElementById('filter-size-max'),
+            sortKey: document.getElementById('sort-key'),
+            sortThen: document.getElementById('sort-then'),
+            sortDirection: document.getElementById('sort-direction'),
+            filterClear: document.getElementById('filter-clear'),
+            filterSummary: document.getElementById('filter-summary'),
+            cacheStatus: document.getElementById('cache-status'),
+            changesBanner: document.getElementById('changes-banner'),
+            changesText: document.getElementById('changes-text'),
+            changesDismiss: document.getElementById('changes-dismiss'),
+            updateBanner: document.getElementById('update-banner'),
+            updateReload: document.getElementById('update-reload'),
+            updateDismiss: document.getElementById('update-dismiss'),
+            siteHeader: document.querySelector('.site-header'),
+            viewToggle: document.getElementById('view-toggle'),
+            lightbox: document.getElementById('lightbox'),
+            lightboxImage: document.getElementById('lightbox-image'),
+            lightboxVideo: document.getElementById('lightbox-video'),
+            lightboxAudio: document.getElementById('lightbox-audio'),
+            lightboxDetails: document.getElementById('lightbox-details'),
+            lightboxMetadata: document.getElementById('lightbox-metadata'),
+            lightboxCaption: document.getElementById('lightbox-caption'),
+            lightboxCounter: document.getElementById('lightbox-counter'),
+            lightboxOriginal: document.getElementById('lightbox-original'),
+            lightboxPrev: document.getElementById('lightbox-prev'),
+            lightboxNext: document.getElementById('lightbox-next'),
+            lightboxClose: document.getElementById('lightbox-close'),
             loadingState: document.getElementById('loading-state'),
             errorState: document.getElementById('error-state'),
+            errorMessage: document.getElementById('error-message'),
+            errorRetry: document.getElementById('error-retry'),
+            errorRetryStatus: document.getElementById('error-retry-status'),
             emptyState: document.getElementById('empty-state'),
             languageSelect: document.getElementById('language-select'),
             uploadAction: document.getElementById('action-upload'),
+            exportAction: document.getElementById('action-export'),
+            exportDialog: document.getElementById('export-dialog'),
+            exportClose: document.getElementById('export-close'),
+            exportSummary: document.getElementById('export-summary'),
+            exportJson: document.getElementById('export-json'),
+            exportCsv: document.getElementById('export-csv'),
+            exportLog: document.getElementById('export-log'),
+            exportI18n: document.getElementById('export-i18n'),
+            storageCard: document.getElementById('storage-card'),
+            storageTotal: document.getElementById('storage-total'),
+            storageMeter: document.getElementById('storage-meter'),
+            storageLimitText: document.getElementById('storage-limit'),
+            storageWarning: document.getElementById('storage-warning'),
+            storageTypes: document.getElementById('storage-types'),
+            storageMonths: document.getElementById('storage-months'),
+            storageLargest: document.getElementById('storage-largest'),
+            i18nSummary: document.getElementById('i18n-summary'),
+            activitySummary: document.getElementById('activity-summary'),
+            selectionBar: document.getElementById('selection-bar'),
+            selectionCount: document.getElementById('selection-count'),
+            selectionStatus: document.getElementById('selection-status'),
+            selectionDelete: document.getElementById('selection-delete'),
+            selectionRename: document.getElementById('selection-rename'),
+            selectionMove: document.getElementById('selection-move'),
+            selectionClear: document.getElementById('selection-clear'),
+            selectionZip: document.getElementById('selection-zip'),
+            selectionDialog: document.getElementById('selection-dialog'),
+            selectionDialogForm: document.getElementById('selection-dialog-form'),
+            selectionDialogTitle: document.getElementById('selection-dialog-title'),
+            selectionDialogText: document.getElementById('selection-dialog-text'),
+            selectionDialogInput: document.getElementById('selection-dialog-input'),
+            selectionDialogConfirm: document.getElementById('selection-dialog-confirm'),
+            selectionDialogCancel: document.getElementById('selection-dialog-cancel'),
+            selectionDialogClose: document.getElementById('selection-dialog-close'),
+            downloadZip: document.getElementById('download-zip'),
+            zipDialog: document.getElementById('zip-dialog'),
+            zipClose: document.getElementById('zip-close'),
+            zipSummary: document.getElementById('zip-summary'),
+            zipProgress: document.getElementById('zip-progress'),
+            zipStatus: document.getElementById('zip-status'),
+            zipWarning: document.getElementById('zip-warning'),
+            zipStart: document.getElementById('zip-start'),
+            zipCancel: document.getElementById('zip-cancel'),
+            slideshowStart: document.getElementById('slideshow-start'),
+            slideshow: document.getElementById('slideshow'),
+            slideshowStage: document.getElementById('slideshow-stage'),
+            slideshowSlides: [...document.querySelectorAll('#slideshow-stage .slideshow-slide')],
+            slideshowCaption: document.getElementById('slideshow-caption'),
+            slideshowCounter: document.getElementById('slideshow-counter'),
+            slideshowPrev: document.getElementById('slideshow-prev'),
+            slideshowPlay: document.getElementById('slideshow-play'),
+            slideshowNext: document.getElementById('slideshow-next'),
+            slideshowInterval: document.getElementById('slideshow-interval'),
+            slideshowOrder: document.getElementById('slideshow-order'),
+            slideshowFullscreen: document.getElementById('slideshow-fullscreen'),
+            slideshowClose: document.getElementById('slideshow-close'),
+            findDuplicates: document.getElementById('find-duplicates'),
+            duplicatesDialog: document.getElementById('duplicates-dialog'),
+            duplicatesClose: document.getElementById('duplicates-close'),
+            duplicatesSummary: document.getElementById('duplicates-summary'),
+            duplicatesProgress: document.getElementById('duplicates-progress'),
+            duplicatesStatus: document.getElementById('duplicates-status'),
+            duplicatesResults: document.getElementById('duplicates-results'),
+            duplicatesStart: document.getElementById('duplicates-start'),
+            duplicatesCancel: document.getElementById('duplicates-cancel'),
+            uploadDialog: document.getElementById('upload-dialog'),
+            uploadClose: document.getElementById('upload-close'),
+            uploadDropzone: document.getElementById('upload-dropzone'),
+            uploadInput: document.getElementById('upload-input'),
+            uploadTarget: document.getElementById('upload-target'),
+            uploadNotice: document.getElementById('upload-notice'),
+            uploadWarning: document.getElementById('upload-warning'),
+            uploadList: document.getElementById('upload-list'),
+            uploadStart: document.getElementById('upload-start'),
+            uploadExternal: document.getElementById('upload-external'),
             refreshAction: document.getElementById('action-refresh'),
-            settingsAction: document.getElementById('action-settings')
+            settingsAction: document.getElementById('action-settings'),
+            rateLimitStatus: document.getElementById('rate-limit-status'),
+            settingsDialog: document.getElementById('settings-dialog'),
+            settingsClose: document.getElementById('settings-close'),
+            tokenInput: document.getElementById('token-input'),
+            tokenSave: document.getElementById('token-save'),
+            tokenClear: document.getElementById('token-clear'),
+            tokenStatus: document.getElementById('token-status'),
+            pagesSettingsLink: document.getElementById('pages-settings-link'),
+            storageUsage: document.getElementById('storage-usage'),
+            offlineStatus: document.getElementById('offline-status'),
+            clearCache: document.getElementById('clear-cache')
         };
     }
 
@@ -58,12 +574,32 @@ class GitHubPagesBrowser {
     async init() {
         try {
             this.setupLanguageSelector();
+            this.setupStickyOffset();
+            this.setupLayoutSelector();
+            this.setupViewToggle();
+            this.setupFileToolbar();
+            this.setupFileList();
+            this.setupLightbox();
+            this.setupSlideshow();
+            this.setupKiosk();
             this.setupActionHandlers();
+            this.setupSourceSelector();
+            this.setupSettingsDialog();
+            this.setupExportDialog();
+            this.setupZipDialog();
+            this.setupDuplicatesDialog();
+            this.setupUploader();
+            this.setupSelection();
+            this.setupErrorRecovery();
+            this.setupServiceWorkerMessages();
+            this.setupChangeTracking();
+            this.setupUpdatePrompt();
+            this.setupRouter();
             this.applyTranslations();
             await this.loadFiles();
         } catch (error) {
             console.error('Initialization failed:', error);
-            this.showError('Failed to initialize application');
+            this.showError('error_init');
         }
     }
 
@@ -82,305 +618,6938 @@ class GitHubPagesBrowser {
     }
 
     /**
-     * Setup action button handlers
+     * Setup listing layout selector
      */
-    setupActionHandlers() {
-        const { uploadAction, refreshAction, settingsAction } = this.elements;
+    setupLayoutSelector() {
+        const { layoutSelect } = this.elements;
 
-        if (uploadAction) {
-            uploadAction.addEventListener('click', () => this.handleUploadAction());
-            uploadAction.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.handleUploadAction();
-                }
-            });
-        }
+        if (!layoutSelect) return;
 
-        if (refreshAction) {
-            refreshAction.addEventListener('click', () => this.handleRefreshAction());
-            refreshAction.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.handleRefreshAction();
-                }
-            });
+        // Flat and grouped layouts need the full tree, which the Contents API cannot provide
+        if (this.listingMode !== 'tree') {
+            this.layout = 'folders';
+            layoutSelect.disabled = true;
         }
 
-        if (settingsAction) {
-            settingsAction.addEventListener('click', () => this.handleSettingsAction());
-            settingsAction.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.handleSettingsAction();
-                }
-            });
-        }
+        layoutSelect.value = this.layout;
+        layoutSelect.addEventListener('change', (event) => {
+            this.changeLayout(event.target.value);
+        });
     }
 
     /**
-     * Change language
+     * Keep sticky group headers below the sticky site header
      */
-    changeLanguage(language) {
-        if (!this.config.translations[language]) return;
+    setupStickyOffset() {
+        const { siteHeader } = this.elements;
 
-        this.currentLanguage = language;
-        localStorage.setItem('github_pages_lang', language);
-        this.applyTranslations();
+        if (!siteHeader) return;
+
+        const update = () => {
+            document.documentElement.style.setProperty('--header-height', `${siteHeader.offsetHeight}px`);
+        };
+
+        update();
+        window.addEventListener('resize', update);
     }
 
     /**
-     * Apply translations to the page
+     * Setup list/gallery view toggle
      */
-    applyTranslations() {
-        const translations = this.config.translations[this.currentLanguage] ||
-            this.config.translations['en'] || {};
+    setupViewToggle() {
+        const { viewToggle } = this.elements;
 
-        document.querySelectorAll('[data-i18n]').forEach(element => {
-            const key = element.getAttribute('data-i18n');
-            const vars = this.parseI18nVars(element.getAttribute('data-i18n-vars'));
-            const translated = this.translate(key, vars, translations);
+        if (!viewToggle) return;
 
-            if (translated) {
-                element.textContent = translated;
-            }
+        this.updateViewToggle();
+        viewToggle.addEventListener('click', () => {
+            this.changeViewMode(this.viewMode === 'grid' ? 'list' : 'grid');
         });
     }
 
     /**
-     * Parse i18n variables
+     * Reflect the current view mode on the toggle button
      */
-    parseI18nVars(varsString) {
-        try {
-            return varsString ? JSON.parse(varsString) : {};
-        } catch (error) {
-            return {};
+    updateViewToggle() {
+        const { viewToggle } = this.elements;
+
+        if (!viewToggle) return;
+
+        const label = viewToggle.querySelector('[data-i18n]');
+        viewToggle.setAttribute('aria-pressed', String(this.viewMode === 'grid'));
+
+        // The button offers the view you would switch to
+        if (label) {
+            label.setAttribute('data-i18n', this.viewMode === 'grid' ? 'view_list' : 'view_gallery');
+            label.textContent = this.translate(label.getAttribute('data-i18n'));
         }
     }
 
     /**
-     * Translate a key with variable substitution
+     * Read search, filter and sort state from the page URL
      */
-    translate(key, vars = {}, translations = null) {
-        const dict = translations || this.config.translations[this.currentLanguage] ||
-            this.config.translations['en'] || {};
+    readFilterState() {
+        const params = new URLSearchParams(window.location.search);
+        const parseSize = (value) => {
+            const megabytes = parseFloat(value);
+            return Number.isFinite(megabytes) && megabytes >= 0 ? megabytes : null;
+        };
 
-        let text = dict[key] || key;
+        this.filters = {
+            query: params.get('q') || '',
+            match: ['glob', 'regex'].includes(params.get('match')) ? params.get('match') : 'text',
+            types: (params.get('type') || '').split(',').filter(type => this.getFileCategories().includes(type)),
+            minSize: parseSize(params.get('min')),
+            maxSize: parseSize(params.get('max')),
+            world: params.get('world') || null
+        };
 
-        // Variable substitution
-        Object.keys(vars).forEach(varKey => {
-            text = text.replace(new RegExp(`{${varKey}}`, 'g'), vars[varKey]);
-        });
+        // sort=<key>[,<then>]: the second key orders files the first one ties
+        const [key, then] = (params.get('sort') || '').split(',');
 
-        return text;
+        this.sort = {
+            key: SORT_KEYS.includes(key) ? key : 'name',
+            then: null,
+            direction: params.get('order') === 'desc' ? 'desc' : 'asc'
+        };
+        this.sort.then = SORT_KEYS.includes(then) && then !== this.sort.key ? then : null;
     }
 
     /**
-     * Load files from GitHub API
+     * Set or remove (null) query parameters on the current history entry
      */
-    async loadFiles() {
-        if (!this.config.repo) {
-            this.showError('No repository configured');
-            return;
-        }
-
-        this.showLoading();
-
-        try {
-            const response = await fetch(`https://api.github.com/repos/${this.config.repo}/contents`, {
-                headers: {
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            });
+    updateQueryParams(values) {
+        const url = new URL(window.location.href);
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        Object.entries(values).forEach(([key, value]) => {
+            if (value === null) {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, value);
             }
+        });
 
-            const files = await response.json();
-            this.renderFiles(files);
-        } catch (error) {
-            console.error('Failed to load files:', error);
-            this.showError(`Failed to load repository contents: ${error.message}`);
-        }
+        window.history.replaceState(window.history.state, '', url);
     }
 
     /**
-     * Render files list
+     * Mirror the active search, filter, sort, view and language state into the page URL so it can be shared
      */
-    renderFiles(files) {
-        const { filesList } = this.elements;
+    writeFilterState() {
+        const { query, match, types, minSize, maxSize, world } = this.filters;
 
-        if (!filesList) return;
+        this.updateQueryParams({
+            q: query || null,
+            match: query && match !== 'text' ? match : null,
+            type: types.length > 0 ? types.join(',') : null,
+            min: minSize !== null ? String(minSize) : null,
+            max: maxSize !== null ? String(maxSize) : null,
+            world,
+            sort: this.sort.key !== 'name' || this.sort.then
+                ? [this.sort.key, this.sort.then].filter(Boolean).join(',')
+                : null,
+            order: this.sort.direction !== 'asc' ? this.sort.direction : null,
+            view: this.viewMode !== 'list' ? this.viewMode : null,
+            lang: this.currentLanguage !== 'en' ? this.currentLanguage : null
+        });
+    }
 
-        if (!files || files.length === 0) {
-            this.showEmpty();
-            return;
-        }
+    /**
+     * Read the slideshow interval (in seconds) and order from the page URL
+     */
+    readSlideshowState() {
+        const params = new URLSearchParams(window.location.search);
+        const interval = parseFloat(params.get('slideshow_interval'));
 
-        // Sort files: directories first, then by name
-        const sortedFiles = files.sort((a, b) => {
-            if (a.type === b.type) {
-                return a.name.localeCompare(b.name);
-            }
-            return a.type === 'dir' ? -1 : 1;
-        });
+        if (Number.isFinite(interval) && interval > 0) {
+            this.slideshow.interval = interval;
+        }
+        if (SLIDESHOW_ORDERS.includes(params.get('slideshow_order'))) {
+            this.slideshow.order = params.get('slideshow_order');
+        }
+    }
 
-        const listItems = sortedFiles.map(file => this.createFileItem(file));
+    /**
+     * Mirror the slideshow interval and order into the page URL, so kiosk links can carry them
+     *
+     * They get their own names because 'order' already holds the sort direction.
+     */
+    writeSlideshowState() {
+        const { interval, order } = this.slideshow;
 
-        filesList.innerHTML = '';
-        filesList.append(...listItems);
+        this.updateQueryParams({
+            slideshow_interval: interval !== this.slideshowDefaults.interval ? String(interval) : null,
+            slideshow_order: order !== this.slideshowDefaults.order ? order : null
+        });
+    }
 
-        this.hideAllStates();
+    /**
+     * Mirror every piece of query-backed state into the page URL
+     */
+    writeUrlState() {
+        this.writeSourceState();
+        this.writeFilterState();
+        this.writeSlideshowState();
     }
 
     /**
-     * Create a file list item
+     * Read the browsed repository and ref from the page URL
      */
-    createFileItem(file) {
-        const listItem = document.createElement('li');
-        listItem.className = 'file-item';
+    readSourceState() {
+        const params = new URLSearchParams(window.location.search);
+        const repo = params.get('repo');
 
-        const link = document.createElement('a');
-        link.className = 'file-link';
-        link.href = this.getFileUrl(file);
-        link.target = '_blank';
-        link.rel = 'noopener noreferrer';
+        if (repo && REPO_PATTERN.test(repo)) {
+            this.config.repo = repo;
+        }
+        this.ref = params.get('ref') || null;
+    }
 
-        const icon = this.createFileIcon(file);
-        const name = document.createElement('span');
-        name.className = 'file-name';
-        name.textContent = file.name + (file.type === 'dir' ? '/' : '');
+    /**
+     * Mirror the browsed repository and ref into the page URL
+     */
+    writeSourceState() {
+        this.updateQueryParams({
+            repo: this.config.repo !== this.defaultRepo ? this.config.repo : null,
+            ref: this.ref
+        });
+    }
 
-        link.appendChild(icon);
-        link.appendChild(name);
+    /**
+     * Parse the location hash: #/path/to/dir for a folder, #/view/path/to/file for an open file
+     *
+     * A file route leaves the folder open (path null); cold loads fall back to its parent.
+     */
+    parseRoute(hash = window.location.hash) {
+        const segments = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (error) {
+                return segment;
+            }
+        });
 
-        const meta = document.createElement('div');
-        meta.className = 'file-meta';
-        meta.textContent = this.getFileMeta(file);
+        if (segments[0] === 'view' && segments.length > 1) {
+            return { path: null, view: segments.slice(1).join('/') };
+        }
 
-        listItem.appendChild(link);
-        listItem.appendChild(meta);
+        return { path: segments.join('/'), view: null };
+    }
 
-        return listItem;
+    /**
+     * Build the location hash for a route
+     */
+    buildRoute({ path = '', view = null }) {
+        return view ? `#/view/${this.encodePath(view)}` : `#/${this.encodePath(path)}`;
     }
 
     /**
-     * Create file icon based on type
+     * Record a route in the page URL, as a new history entry unless replace is set
      */
-    createFileIcon(file) {
-        const icon = document.createElement('div');
-        icon.className = 'file-icon';
+    setRoute(route, { replace = false, state = null } = {}) {
+        if (this.buildRoute(route) === this.buildRoute(this.parseRoute())) return;
 
-        if (file.type === 'dir') {
-            icon.innerHTML = 'DIR';
-            icon.setAttribute('aria-label', 'Directory');
+        const url = new URL(window.location.href);
+        url.hash = this.buildRoute(route);
+
+        if (replace) {
+            window.history.replaceState(window.history.state, '', url);
         } else {
-            const extension = file.name.split('.').pop()?.toLowerCase();
-            icon.innerHTML = this.getFileIconByExtension(extension);
-            icon.setAttribute('aria-label', 'File');
+            window.history.pushState(state, '', url);
         }
-
-        return icon;
     }
 
     /**
-     * Get file icon by extension
+     * Restore the folder and file named in the URL and follow Back and Forward
      */
-    getFileIconByExtension(extension) {
-        const iconMap = {
-            // Images
-            'jpg': 'IMG', 'jpeg': 'IMG', 'png': 'IMG', 'gif': 'IMG', 'svg': 'IMG', 'webp': 'IMG',
-            // Documents  
-            'pdf': 'PDF', 'doc': 'DOC', 'docx': 'DOC', 'txt': 'TXT', 'md': 'MD', 'readme': 'MD',
-            // Code
-            'js': 'JS', 'ts': 'TS', 'jsx': 'JSX', 'tsx': 'TSX', 'html': 'HTM', 'css': 'CSS', 'scss': 'CSS',
-            'py': 'PY', 'java': 'JAV', 'cpp': 'CPP', 'c': 'C', 'php': 'PHP', 'rb': 'RB',
-            // Config
-            'json': 'CFG', 'xml': 'CFG', 'yml': 'CFG', 'yaml': 'CFG', 'toml': 'CFG', 'ini': 'CFG',
-            // Archives
-            'zip': 'ZIP', 'tar': 'TAR', 'gz': 'GZ', 'rar': 'RAR', '7z': '7Z',
-            // Default
-            'default': 'FILE'
-        };
+    setupRouter() {
+        const route = this.parseRoute();
+
+        if (route.view) {
+            this.currentPath = this.getParentPath(route.view);
+            this.pendingView = route.view;
 
-        return iconMap[extension] || iconMap.default;
+            // Put the folder underneath a cold file link, so Back closes the lightbox
+            this.setRoute({ path: this.currentPath }, { replace: true });
+            this.setRoute(route, { state: { lightbox: true } });
+        } else {
+            this.currentPath = route.path;
+        }
+
+        // Hash edits fire both events; applying a route twice is harmless
+        window.addEventListener('popstate', () => this.applyRoute());
+        window.addEventListener('hashchange', () => this.applyRoute());
     }
 
     /**
-     * Get file URL for GitHub Pages
+     * Bring the page in line with the location hash
+     */
+    applyRoute() {
+        const route = this.parseRoute();
+
+        // Entries keep the query string they were pushed with, but none of that state is part of history
+        this.writeUrlState();
+
+        if (!route.view && this.lightboxIndex !== -1) {
+            this.closeLightbox();
+        }
+
+        let path = route.path;
+
+        if (route.view) {
+            const shown = this.displayedFiles.some(file => file.path === route.view);
+            path = shown ? this.currentPath : this.getParentPath(route.view);
+        }
+
+        const navigation = path !== this.currentPath
+            ? this.navigateTo(path, { updateRoute: false })
+            : Promise.resolve();
+
+        if (route.view && !(this.lightboxIndex !== -1 && this.lightboxFile && this.lightboxFile.path === route.view)) {
+            this.pendingView = route.view;
+            navigation.then(() => this.openPendingView());
+        }
+    }
+
+    /**
+     * Open the file named by a #/view/ route once the listing containing it is shown
+     */
+    openPendingView() {
+        const path = this.pendingView;
+
+        if (!path) return;
+
+        this.pendingView = null;
+
+        const file = this.displayedFiles.find(item => item.path === path) ||
+            this.files.find(item => item.path === path);
+
+        if (file && this.isPreviewableFile(file)) {
+            this.openLightbox(file, { updateRoute: false });
+        } else {
+            // Files that are gone or have no preview leave just their folder open
+            this.setRoute({ path: this.currentPath }, { replace: true });
+        }
+    }
+
+    /**
+     * Drop the file route after the lightbox closed
+     */
+    leaveViewRoute() {
+        if (!this.parseRoute().view) return;
+
+        // Step back over the entry openLightbox pushed, so Forward reopens the file
+        if (window.history.state && window.history.state.lightbox) {
+            window.history.back();
+        } else {
+            this.setRoute({ path: this.currentPath }, { replace: true });
+        }
+    }
+
+    /**
+     * Setup the search, filter and sort toolbar
+     */
+    setupFileToolbar() {
+        const {
+            filterSearch, filterMatch, filterTypes, filterSizeMin, filterSizeMax,
+            sortKey, sortThen, sortDirection, filterClear
+        } = this.elements;
+
+        if (filterTypes) {
+            this.getFileCategories().forEach(category => {
+                const label = document.createElement('label');
+                label.className = 'filter-chip';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = category;
+
+                const text = document.createElement('span');
+                text.setAttribute('data-i18n', `type_${category}`);
+                text.textContent = this.translate(`type_${category}`);
+
+                label.appendChild(checkbox);
+                label.appendChild(text);
+                filterTypes.appendChild(label);
+            });
+
+            filterTypes.addEventListener('change', () => {
+                this.filters.types = Array.from(filterTypes.querySelectorAll('input:checked'))
+                    .map(checkbox => checkbox.value);
+                this.applyFilterChange();
+            });
+        }
+
+        filterSearch?.addEventListener('input', () => {
+            this.filters.query = filterSearch.value;
+            this.applyFilterChange();
+        });
+
+        filterMatch?.addEventListener('change', () => {
+            this.filters.match = filterMatch.value;
+            this.applyFilterChange();
+        });
+
+        // World names are only known once the screenshots have been read
+        this.elements.filterWorld?.addEventListener('focus', () => {
+            this.ensurePngMetadata(this.getScopedFiles(this.files));
+        });
+        this.elements.filterWorld?.addEventListener('change', () => {
+            this.filters.world = this.elements.filterWorld.value || null;
+            this.applyFilterChange();
+        });
+
+        const readSize = (input) => {
+            const megabytes = parseFloat(input.value);
+            return Number.isFinite(megabytes) && megabytes >= 0 ? megabytes : null;
+        };
+
+        filterSizeMin?.addEventListener('input', () => {
+            this.filters.minSize = readSize(filterSizeMin);
+            this.applyFilterChange();
+        });
+
+        filterSizeMax?.addEventListener('input', () => {
+            this.filters.maxSize = readSize(filterSizeMax);
+            this.applyFilterChange();
+        });
+
+        sortKey?.addEventListener('change', () => {
+            this.sort.key = SORT_KEYS.includes(sortKey.value) ? sortKey.value : 'name';
+            if (this.sort.then === this.sort.key) {
+                this.sort.then = null;
+            }
+            this.applyFilterChange();
+        });
+
+        sortThen?.addEventListener('change', () => {
+            this.sort.then = SORT_KEYS.includes(sortThen.value) && sortThen.value !== this.sort.key ? sortThen.value : null;
+            this.applyFilterChange();
+        });
+
+        sortDirection?.addEventListener('click', () => {
+            this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+            this.applyFilterChange();
+        });
+
+        filterClear?.addEventListener('click', () => {
+            this.filters = { query: '', match: this.filters.match, types: [], minSize: null, maxSize: null, world: null };
+            this.applyFilterChange();
+        });
+
+        this.updateFileToolbar();
+    }
+
+    /**
+     * Sync the toolbar controls with the filter state
+     */
+    updateFileToolbar() {
+        const {
+            filterSearch, filterMatch, filterTypes, filterSizeMin, filterSizeMax,
+            sortKey, sortThen, sortDirection, filterClear
+        } = this.elements;
+        const { query, match, types, minSize, maxSize } = this.filters;
+
+        if (filterSearch && filterSearch.value !== query) {
+            filterSearch.value = query;
+        }
+        if (filterSearch) {
+            const invalid = this.getSearchMatcher() === null;
+            filterSearch.setAttribute('aria-invalid', String(invalid));
+        }
+        if (filterMatch) {
+            filterMatch.value = match;
+        }
+        filterTypes?.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = types.includes(checkbox.value);
+        });
+
+        // Leave a half-typed number alone; only reset inputs that disagree with the state
+        if (filterSizeMin && parseFloat(filterSizeMin.value) !== minSize) {
+            filterSizeMin.value = minSize === null ? '' : minSize;
+        }
+        if (filterSizeMax && parseFloat(filterSizeMax.value) !== maxSize) {
+            filterSizeMax.value = maxSize === null ? '' : maxSize;
+        }
+
+        this.renderWorldOptions();
+
+        if (sortKey) {
+            sortKey.value = this.sort.key;
+        }
+        if (sortThen) {
+            // Sorting twice by the same key changes nothing
+            sortThen.querySelectorAll('option').forEach(option => {
+                option.disabled = option.value === this.sort.key;
+            });
+            sortThen.value = this.sort.then || '';
+        }
+        if (sortDirection) {
+            const label = sortDirection.querySelector('[data-i18n]');
+            sortDirection.setAttribute('aria-pressed', String(this.sort.direction === 'desc'));
+            if (label) {
+                label.setAttribute('data-i18n', this.sort.direction === 'desc' ? 'sort_desc' : 'sort_asc');
+                label.textContent = this.translate(label.getAttribute('data-i18n'));
+            }
+        }
+        if (filterClear) {
+            filterClear.disabled = !this.hasActiveFilters();
+        }
+    }
+
+    /**
+     * Re-render after any toolbar change
+     */
+    applyFilterChange() {
+        this.updateFileToolbar();
+        this.writeFilterState();
+        this.renderFiles(this.files);
+    }
+
+    /**
+     * Check whether any filter narrows the listing
+     */
+    hasActiveFilters() {
+        const { query, types, minSize, maxSize, world } = this.filters;
+        return Boolean(query) || types.length > 0 || minSize !== null || maxSize !== null || world !== null;
+    }
+
+    /**
+     * Build a predicate for the search box, or null when the pattern is invalid
+     */
+    getSearchMatcher() {
+        const { query, match } = this.filters;
+
+        if (!query) return () => true;
+
+        if (match === 'regex') {
+            try {
+                const regex = new RegExp(query, 'i');
+                return (text) => regex.test(text);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (match === 'glob') {
+            const regex = this.globToRegExp(query);
+            return (text) => regex.test(text);
+        }
+
+        const needle = query.toLowerCase();
+        return (text) => text.toLowerCase().includes(needle);
+    }
+
+    /**
+     * Convert a glob (*, **, ?, [abc]) to an anchored, case-insensitive regular expression
+     */
+    globToRegExp(glob) {
+        let source = '';
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+
+            if (char === '*') {
+                if (glob[i + 1] === '*') {
+                    source += '.*';
+                    i++;
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[') {
+                const end = glob.indexOf(']', i + 1);
+                if (end === -1) {
+                    source += '\\[';
+                } else {
+                    source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                    i = end;
+                }
+            } else {
+                source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * Apply search, type and size filters; folders only have to match the search
+     */
+    filterFiles(files) {
+        const matcher = this.getSearchMatcher();
+        const { query, types, minSize, maxSize, world } = this.filters;
+
+        // An invalid pattern is flagged on the input rather than hiding everything
+        const matches = matcher || (() => true);
+        const usePath = query.includes('/');
+
+        return files.filter(file => {
+            const text = usePath ? this.getRelativePath(file.path || file.name) : file.name;
+            if (!matches(text)) return false;
+
+            if (file.type !== 'file') return true;
+
+            if (types.length > 0 && !types.includes(this.getFileCategory(file))) return false;
+
+            const megabytes = (file.size || 0) / (1024 * 1024);
+            if (minSize !== null && megabytes < minSize) return false;
+            if (maxSize !== null && megabytes > maxSize) return false;
+
+            if (world !== null && this.getWorldKey(file) !== world) return false;
+
+            return true;
+        });
+    }
+
+    /**
+     * Setup the lightbox overlay used for images, video and audio
+     */
+    setupLightbox() {
+        const { lightbox, lightboxVideo, lightboxAudio, lightboxPrev, lightboxNext, lightboxClose } = this.elements;
+
+        if (!lightbox) return;
+
+        lightbox.addEventListener('close', () => {
+            this.lightboxIndex = -1;
+            this.resetLightboxMedia();
+            this.leaveViewRoute();
+        });
+
+        [lightboxVideo, lightboxAudio].forEach(player => {
+            player?.addEventListener('loadedmetadata', () => this.renderMediaDetails(player));
+            player?.addEventListener('error', () => {
+                if (player.getAttribute('src') && this.elements.lightboxDetails) {
+                    this.elements.lightboxDetails.textContent = this.translate('media_error');
+                }
+            });
+        });
+
+        lightboxPrev?.addEventListener('click', () => this.showLightboxItem(this.lightboxIndex - 1));
+        lightboxNext?.addEventListener('click', () => this.showLightboxItem(this.lightboxIndex + 1));
+        lightboxClose?.addEventListener('click', () => this.closeLightbox());
+
+        lightbox.addEventListener('keydown', (event) => {
+            // Native player controls use the arrow keys for seeking and volume
+            if (event.target instanceof HTMLMediaElement && event.key !== 'Escape') return;
+
+            // Right-to-left layouts put the next item on the left
+            const step = this.isRtl() ? -1 : 1;
+
+            if (event.key === 'ArrowLeft') {
+                event.preventDefault();
+                this.showLightboxItem(this.lightboxIndex - step);
+            } else if (event.key === 'ArrowRight') {
+                event.preventDefault();
+                this.showLightboxItem(this.lightboxIndex + step);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                this.closeLightbox();
+            }
+        });
+
+        // Clicking the dimmed backdrop (the dialog itself, not its content) closes it
+        lightbox.addEventListener('click', (event) => {
+            if (event.target === lightbox) {
+                this.closeLightbox();
+            }
+        });
+
+        let touchStart = null;
+
+        lightbox.addEventListener('touchstart', (event) => {
+            if (event.touches.length === 1) {
+                touchStart = { x: event.touches[0].clientX, y: event.touches[0].clientY };
+            }
+        }, { passive: true });
+
+        lightbox.addEventListener('touchend', (event) => {
+            if (!touchStart || event.changedTouches.length === 0) return;
+
+            const deltaX = event.changedTouches[0].clientX - touchStart.x;
+            const deltaY = event.changedTouches[0].clientY - touchStart.y;
+            touchStart = null;
+
+            // Only treat clearly horizontal gestures as swipes
+            if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(deltaY)) {
+                const step = this.isRtl() ? -1 : 1;
+                this.showLightboxItem(this.lightboxIndex + (deltaX < 0 ? step : -step));
+            }
+        });
+    }
+
+    /**
+     * Setup the fullscreen slideshow and its controls
+     */
+    setupSlideshow() {
+        const {
+            slideshow, slideshowStage, slideshowStart, slideshowPrev, slideshowPlay, slideshowNext,
+            slideshowInterval, slideshowOrder, slideshowFullscreen, slideshowClose
+        } = this.elements;
+
+        if (!slideshow) return;
+
+        this.renderSlideshowIntervals();
+        if (slideshowOrder) {
+            slideshowOrder.value = this.slideshow.order;
+        }
+
+        slideshowStart?.addEventListener('click', () => this.startSlideshow());
+        slideshowPrev?.addEventListener('click', () => this.showSlide(this.slideshow.index - 1, -1));
+        slideshowNext?.addEventListener('click', () => this.showSlide(this.slideshow.index + 1));
+        slideshowPlay?.addEventListener('click', () => this.setSlideshowPaused(!this.slideshow.paused));
+        slideshowClose?.addEventListener('click', () => slideshow.close());
+        slideshowFullscreen?.addEventListener('click', () => this.toggleSlideshowFullscreen());
+        slideshowStage?.addEventListener('dblclick', () => this.toggleSlideshowFullscreen());
+
+        slideshowInterval?.addEventListener('change', () => {
+            this.slideshow.interval = parseFloat(slideshowInterval.value);
+            this.writeSlideshowState();
+            this.scheduleSlide();
+        });
+
+        slideshowOrder?.addEventListener('change', () => {
+            this.slideshow.order = slideshowOrder.value;
+            this.writeSlideshowState();
+            this.reorderSlideshow();
+        });
+
+        slideshow.addEventListener('close', () => this.stopSlideshow());
+
+        // Hovering pauses, but a pointer left resting over the screen counts as gone
+        slideshow.addEventListener('mousemove', () => this.markSlideshowActivity());
+        slideshow.addEventListener('mouseleave', () => this.setSlideshowHovered(false));
+
+        slideshow.addEventListener('keydown', (event) => {
+            if (event.target.closest('select')) return;
+            if (event.target.closest('button') && [' ', 'Enter'].includes(event.key)) return;
+
+            const step = this.isRtl() ? -1 : 1;
+
+            if (event.key === ' ' || event.key === 'k') {
+                event.preventDefault();
+                this.setSlideshowPaused(!this.slideshow.paused);
+            } else if (event.key === 'ArrowLeft') {
+                event.preventDefault();
+                this.showSlide(this.slideshow.index - step, -step);
+            } else if (event.key === 'ArrowRight') {
+                event.preventDefault();
+                this.showSlide(this.slideshow.index + step, step);
+            } else if (event.key === 'f') {
+                event.preventDefault();
+                this.toggleSlideshowFullscreen();
+            }
+        });
+
+        if (slideshowFullscreen) {
+            slideshowFullscreen.hidden = !document.fullscreenEnabled;
+        }
+        document.addEventListener('fullscreenchange', () => this.renderSlideshowControls());
+    }
+
+    /**
+     * Offer the preset intervals plus one requested in the URL or config
+     */
+    renderSlideshowIntervals() {
+        const { slideshowInterval } = this.elements;
+
+        if (!slideshowInterval) return;
+
+        const intervals = [...new Set([...SLIDESHOW_INTERVALS, this.slideshow.interval])].sort((a, b) => a - b);
+
+        slideshowInterval.innerHTML = '';
+        intervals.forEach(seconds => {
+            const option = document.createElement('option');
+            option.value = String(seconds);
+            option.setAttribute('data-i18n', 'slideshow_seconds');
+            option.setAttribute('data-i18n-vars', JSON.stringify({ count: seconds }));
+            option.textContent = this.translate('slideshow_seconds', { count: seconds });
+            slideshowInterval.appendChild(option);
+        });
+        slideshowInterval.value = String(this.slideshow.interval);
+    }
+
+    /**
+     * Hide the page chrome and keep the listing fresh for an unattended screen
+     */
+    setupKiosk() {
+        if (!this.kiosk) return;
+
+        document.documentElement.classList.add('kiosk');
+
+        const interval = this.config.kioskRefreshInterval > 0 ? this.config.kioskRefreshInterval : KIOSK_REFRESH_INTERVAL;
+
+        // Conditional requests make an unchanged listing cost nothing against the rate limit
+        window.setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                this.loadFiles(this.currentPath, { background: true });
+            }
+        }, interval);
+    }
+
+    /**
+     * Start the kiosk slideshow after the first load, or fold a reloaded listing into a running one
+     */
+    updateSlideshow() {
+        if (this.kioskPending) {
+            this.kioskPending = false;
+
+            // Fullscreen needs a user gesture, so kiosk mode starts in the page; double-click to go fullscreen
+            this.startSlideshow({ fullscreen: false });
+        } else if (this.elements.slideshow?.open) {
+            this.refreshSlideshow();
+        }
+    }
+
+    /**
+     * Get the images the slideshow rotates through: everything under the current folder that passes the filters
+     */
+    getSlideshowImages() {
+        const prefix = this.currentPath ? `${this.currentPath}/` : '';
+
+        return this.filterFiles(this.files.filter(file =>
+            this.isImageFile(file) && (file.path || file.name).startsWith(prefix)
+        ));
+    }
+
+    /**
+     * Order slideshow images by capture date (then path), or shuffle them
+     */
+    orderSlideshowFiles(files, order) {
+        if (order === 'shuffle') {
+            const shuffled = [...files];
+
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+
+            return shuffled;
+        }
+
+        return [...files].sort((a, b) =>
+            this.compareFiles(a, b, 'captured') || (a.path || a.name).localeCompare(b.path || b.name)
+        );
+    }
+
+    /**
+     * Open the slideshow on the current folder's images
+     */
+    startSlideshow({ fullscreen = true } = {}) {
+        const { slideshow, slideshowStage, slideshowSlides } = this.elements;
+        const state = this.slideshow;
+
+        if (!slideshow || slideshow.open) return;
+
+        state.files = this.orderSlideshowFiles(this.getSlideshowImages(), state.order);
+        state.paused = false;
+        state.hovered = false;
+        state.failures = 0;
+        slideshowSlides.forEach(slide => slide.classList.remove('is-active'));
+
+        slideshow.showModal();
+        slideshowStage?.focus();
+
+        if (fullscreen && document.fullscreenEnabled && !document.fullscreenElement) {
+            slideshow.requestFullscreen().catch(error => console.warn('Fullscreen was refused:', error));
+        }
+
+        this.markSlideshowActivity({ hovered: false });
+        this.showSlide(0);
+    }
+
+    /**
+     * Stop playback and release the images once the slideshow closes
+     */
+    stopSlideshow() {
+        const { slideshow, slideshowSlides } = this.elements;
+        const state = this.slideshow;
+
+        state.token++;
+        state.index = -1;
+        window.clearTimeout(state.timer);
+        window.clearTimeout(state.idleTimer);
+        slideshow?.classList.remove('is-idle');
+
+        slideshowSlides.forEach(slide => {
+            slide.classList.remove('is-active');
+            slide.removeAttribute('src');
+        });
+
+        if (document.fullscreenElement === slideshow) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    /**
+     * Crossfade to a slide once its image has decoded, then schedule the next one
+     *
+     * Unreadable images are skipped in the direction of travel.
+     */
+    async showSlide(index, direction = 1) {
+        const { slideshowSlides } = this.elements;
+        const state = this.slideshow;
+        const total = state.files.length;
+
+        window.clearTimeout(state.timer);
+
+        if (total === 0) {
+            state.index = -1;
+            slideshowSlides.forEach(slide => slide.classList.remove('is-active'));
+            this.renderSlideshowControls();
+            return;
+        }
+
+        state.index = ((index % total) + total) % total;
+
+        const file = state.files[state.index];
+        const token = ++state.token;
+        const incoming = slideshowSlides[1 - state.layer];
+        const outgoing = slideshowSlides[state.layer];
+
+        incoming.src = this.getFileUrl(file);
+        incoming.alt = file.path || file.name;
+
+        try {
+            await incoming.decode();
+        } catch (error) {
+            if (token !== state.token) return;
+
+            // Skip unreadable images, but stop once every image has failed in a row
+            state.failures++;
+            if (state.failures < total) {
+                this.showSlide(state.index + direction, direction);
+                return;
+            }
+        }
+
+        if (token !== state.token) return;
+
+        state.failures = 0;
+        incoming.classList.add('is-active');
+        outgoing.classList.remove('is-active');
+        state.layer = 1 - state.layer;
+
+        this.renderSlideshowControls();
+        this.scheduleSlide();
+    }
+
+    /**
+     * Advance after the interval unless paused or hovered
+     */
+    scheduleSlide() {
+        const state = this.slideshow;
+
+        window.clearTimeout(state.timer);
+
+        if (state.paused || state.hovered || state.index === -1 || !this.elements.slideshow?.open) return;
+
+        state.timer = window.setTimeout(() => this.showSlide(state.index + 1), state.interval * 1000);
+    }
+
+    /**
+     * Pause or resume playback from the button or keyboard
+     */
+    setSlideshowPaused(paused) {
+        this.slideshow.paused = paused;
+        this.renderSlideshowControls();
+        this.scheduleSlide();
+    }
+
+    /**
+     * Pause while the pointer is over the slideshow
+     */
+    setSlideshowHovered(hovered) {
+        if (this.slideshow.hovered === hovered) return;
+
+        this.slideshow.hovered = hovered;
+        this.renderSlideshowControls();
+        this.scheduleSlide();
+    }
+
+    /**
+     * Show the controls after pointer movement and hide them again once it rests
+     */
+    markSlideshowActivity({ hovered = true } = {}) {
+        const { slideshow } = this.elements;
+        const state = this.slideshow;
+
+        slideshow?.classList.remove('is-idle');
+        this.setSlideshowHovered(hovered);
+
+        window.clearTimeout(state.idleTimer);
+        state.idleTimer = window.setTimeout(() => {
+            slideshow?.classList.add('is-idle');
+            this.setSlideshowHovered(false);
+        }, SLIDESHOW_IDLE_MS);
+    }
+
+    /**
+     * Enter or leave fullscreen with the slideshow as the fullscreen element
+     */
+    toggleSlideshowFullscreen() {
+        const { slideshow } = this.elements;
+
+        if (!slideshow || !document.fullscreenEnabled) return;
+
+        const request = document.fullscreenElement
+            ? document.exitFullscreen()
+            : slideshow.requestFullscreen();
+
+        request.catch(error => console.warn('Fullscreen was refused:', error));
+    }
+
+    /**
+     * Fold a reloaded listing into the rotation without restarting it
+     *
+     * Chronological order simply re-sorts. Shuffled order keeps its sequence and
+     * plays new uploads next, so they show up soon after being pushed.
+     */
+    refreshSlideshow() {
+        const state = this.slideshow;
+        const current = state.files[state.index];
+        const fresh = this.getSlideshowImages();
+
+        if (state.order === 'shuffle') {
+            const byPath = new Map(fresh.map(file => [file.path, file]));
+            const known = new Set(state.files.map(file => file.path));
+            const kept = state.files.filter(file => byPath.has(file.path)).map(file => byPath.get(file.path));
+            const added = this.orderSlideshowFiles(fresh.filter(file => !known.has(file.path)), 'shuffle');
+            const position = current ? kept.findIndex(file => file.path === current.path) : -1;
+
+            kept.splice(position + 1, 0, ...added);
+            state.files = kept;
+        } else {
+            state.files = this.orderSlideshowFiles(fresh, state.order);
+        }
+
+        const index = current ? state.files.findIndex(file => file.path === current.path) : -1;
+
+        if (index !== -1) {
+            state.index = index;
+            this.renderSlideshowControls();
+        } else {
+            // The shown image is gone (or nothing was shown): continue from where it stood
+            this.showSlide(Math.max(state.index, 0));
+        }
+    }
+
+    /**
+     * Apply a new order, keeping the current image on screen
+     */
+    reorderSlideshow() {
+        const state = this.slideshow;
+        const current = state.files[state.index];
+
+        state.files = this.orderSlideshowFiles(state.files, state.order);
+
+        if (current) {
+            state.index = state.files.indexOf(current);
+        }
+
+        this.renderSlideshowControls();
+        this.scheduleSlide();
+    }
+
+    /**
+     * Update the caption, counter, play button and fullscreen button
+     */
+    renderSlideshowControls() {
+        const { slideshow, slideshowCaption, slideshowCounter, slideshowPlay, slideshowPrev, slideshowNext, slideshowFullscreen } = this.elements;
+        const state = this.slideshow;
+        const file = state.files[state.index];
+        const total = state.files.length;
+
+        if (!slideshow) return;
+
+        slideshow.classList.toggle('is-paused', state.paused || state.hovered);
+
+        if (slideshowCaption) {
+            const metadata = file ? this.getFileMetadata(file) : null;
+
+            slideshowCaption.textContent = file
+                ? [file.path || file.name, metadata?.capturedAt ? this.formatCaptureDate(metadata.capturedAt) : null].filter(Boolean).join(' · ')
+                : this.translate('slideshow_empty');
+        }
+        if (slideshowCounter) {
+            slideshowCounter.textContent = file
+                ? this.translate('lightbox_counter', { index: state.index + 1, total })
+                : '';
+        }
+        if (slideshowPlay) {
+            slideshowPlay.textContent = this.translate(state.paused ? 'slideshow_play' : 'slideshow_pause');
+            slideshowPlay.setAttribute('aria-pressed', String(state.paused));
+            slideshowPlay.disabled = total === 0;
+        }
+        [slideshowPrev, slideshowNext].forEach(button => {
+            if (button) {
+                button.disabled = total < 2;
+            }
+        });
+        if (slideshowFullscreen) {
+            slideshowFullscreen.textContent = this.translate(document.fullscreenElement ? 'slideshow_exit_fullscreen' : 'slideshow_fullscreen');
+        }
+    }
+
+    /**
+     * Setup action button handlers
+     */
+    setupActionHandlers() {
+        const { uploadAction, refreshAction, settingsAction, exportAction } = this.elements;
+
+        if (uploadAction) {
+            uploadAction.addEventListener('click', () => this.handleUploadAction());
+            uploadAction.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.handleUploadAction();
+                }
+            });
+        }
+
+        if (refreshAction) {
+            refreshAction.addEventListener('click', () => this.handleRefreshAction());
+            refreshAction.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.handleRefreshAction();
+                }
+            });
+        }
+
+        if (settingsAction) {
+            settingsAction.addEventListener('click', () => this.handleSettingsAction());
+            settingsAction.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.handleSettingsAction();
+                }
+            });
+        }
+
+        if (exportAction) {
+            exportAction.addEventListener('click', () => this.handleExportAction());
+            exportAction.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.handleExportAction();
+                }
+            });
+        }
+    }
+
+    /**
+     * Change listing layout
+     */
+    changeLayout(layout) {
+        if (!LISTING_LAYOUTS.includes(layout)) return;
+
+        this.layout = layout;
+        localStorage.setItem('github_pages_layout', layout);
+        this.renderFiles(this.files);
+    }
+
+    /**
+     * Change between list and gallery views
+     */
+    changeViewMode(viewMode) {
+        if (!['list', 'grid'].includes(viewMode)) return;
+
+        this.viewMode = viewMode;
+        localStorage.setItem('github_pages_view', viewMode);
+        this.writeFilterState();
+        this.updateViewToggle();
+        this.renderFiles(this.files);
+    }
+
+    /**
+     * Change language
+     */
+    changeLanguage(language) {
+        if (!this.config.translations[language]) return;
+
+        this.currentLanguage = language;
+        localStorage.setItem('github_pages_lang', language);
+        this.writeFilterState();
+        this.applyTranslations();
+        this.renderRateLimit();
+        this.renderCacheStatus();
+        this.renderUploadAction();
+
+        // Row metadata and storage rows are formatted for the active language
+        if (this.files.length > 0) {
+            this.renderStorageStats(this.files);
+            this.renderFiles(this.files);
+        }
+    }
+
+    /**
+     * Apply translations to the page
+     */
+    applyTranslations() {
+        const root = document.documentElement;
+        root.lang = this.currentLanguage;
+        root.dir = this.isRtl() ? 'rtl' : 'ltr';
+
+        if (this.elements.languageSelect) {
+            this.elements.languageSelect.value = this.currentLanguage;
+        }
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            const key = element.getAttribute('data-i18n');
+            const vars = this.parseI18nVars(element.getAttribute('data-i18n-vars'));
+            const translated = this.translate(key, vars);
+
+            if (translated) {
+                element.textContent = translated;
+            }
+        });
+
+        // data-i18n-placeholder and friends translate attributes instead of text
+        ['placeholder', 'title', 'aria-label', 'label'].forEach(attribute => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                const key = element.getAttribute(`data-i18n-${attribute}`);
+                element.setAttribute(attribute, this.translate(key));
+            });
+        });
+
+        if (this.lightboxIndex !== -1) {
+            this.showLightboxItem(this.lightboxIndex);
+        }
+    }
+
+    /**
+     * Parse i18n variables
+     */
+    parseI18nVars(varsString) {
+        try {
+            return varsString ? JSON.parse(varsString) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Translate a key, falling back along the language chain, and format its message
+     */
+    translate(key, vars = {}, language = this.currentLanguage) {
+        const { translations } = this.config;
+        const source = this.getLanguageChain(language).find(code => typeof translations[code][key] === 'string');
+
+        if (source !== language) {
+            if (!this.missingTranslations.has(language)) {
+                this.missingTranslations.set(language, new Set());
+            }
+            this.missingTranslations.get(language).add(key);
+        }
+
+        const message = source ? translations[source][key] : key;
+
+        return this.formatMessage(message, vars, language);
+    }
+
+    /**
+     * Format an ICU-style message
+     *
+     * Supports {name}, {name, number}, {name, plural, ...}, {name, selectordinal, ...}
+     * and {name, select, ...}. Plural branches may use =N for exact values and # for
+     * the formatted number. Arguments without a value are left as written.
+     */
+    formatMessage(message, vars = {}, language = this.currentLanguage) {
+        let output = '';
+        let index = 0;
+
+        while (index < message.length) {
+            const open = message.indexOf('{', index);
+            const close = open === -1 ? -1 : this.findClosingBrace(message, open);
+
+            if (close === -1) {
+                output += message.slice(index);
+                break;
+            }
+
+            output += message.slice(index, open);
+            output += this.formatArgument(message.slice(open, close + 1), vars, language);
+            index = close + 1;
+        }
+
+        return output;
+    }
+
+    /**
+     * Find the brace closing the one at the given position, or -1
+     */
+    findClosingBrace(text, open) {
+        let depth = 0;
+
+        for (let index = open; index < text.length; index++) {
+            if (text[index] === '{') depth++;
+            if (text[index] === '}' && --depth === 0) return index;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Format one {argument} of a message
+     */
+    formatArgument(argument, vars, language) {
+        const match = /^\{\s*(\w+)\s*(?:,\s*(number|plural|selectordinal|select)\s*(?:,([\s\S]*))?)?\}$/.exec(argument);
+
+        if (!match || vars[match[1]] === undefined || vars[match[1]] === null) return argument;
+
+        const [, name, type, body = ''] = match;
+        const value = vars[name];
+
+        if (!type) {
+            return typeof value === 'number' ? this.formatNumber(value, {}, language) : String(value);
+        }
+
+        if (type === 'number') {
+            return this.formatNumber(Number(value), {}, language);
+        }
+
+        const options = this.parseMessageOptions(body);
+        let branch = options[String(value)];
+
+        if (type !== 'select') {
+            const number = Number(value);
+            branch = options[`=${number}`];
+
+            if (branch === undefined) {
+                try {
+                    const rules = new Intl.PluralRules(language, { type: type === 'plural' ? 'cardinal' : 'ordinal' });
+                    branch = options[rules.select(number)];
+                } catch (error) {
+                    branch = undefined;
+                }
+            }
+
+            if (branch !== undefined) {
+                branch = branch.replace(/#/g, this.formatNumber(number, {}, language));
+            }
+        }
+
+        if (branch === undefined) {
+            branch = options.other;
+        }
+
+        return branch === undefined ? argument : this.formatMessage(branch, vars, language);
+    }
+
+    /**
+     * Split "one {...} other {...}" into an object of branches
+     */
+    parseMessageOptions(body) {
+        const options = {};
+        const selector = /\s*(=?[\w-]+)\s*\{/y;
+        let index = 0;
+
+        while (index < body.length) {
+            selector.lastIndex = index;
+            const match = selector.exec(body);
+
+            if (!match) break;
+
+            const open = selector.lastIndex - 1;
+            const close = this.findClosingBrace(body, open);
+
+            if (close === -1) break;
+
+            options[match[1]] = body.slice(open + 1, close);
+            index = close + 1;
+        }
+
+        return options;
+    }
+
+    /**
+     * Get a shared Intl.NumberFormat for a language and options
+     */
+    getNumberFormat(options = {}, language = this.currentLanguage) {
+        const key = `${language}|${JSON.stringify(options)}`;
+
+        if (!this.numberFormats.has(key)) {
+            this.numberFormats.set(key, new Intl.NumberFormat(language, options));
+        }
+
+        return this.numberFormats.get(key);
+    }
+
+    /**
+     * Format a number for a language, falling back to plain digits
+     */
+    formatNumber(value, options = {}, language = this.currentLanguage) {
+        try {
+            return this.getNumberFormat(options, language).format(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Load files from GitHub API
+     *
+     * Background loads keep the current listing on screen and leave it alone on failure.
+     */
+    async loadFiles(path = this.currentPath, { background = false } = {}) {
+        if (!this.config.repo) {
+            this.showError('error_no_repo');
+            return;
+        }
+
+        // Ignore responses for folders the user has already navigated away from
+        const requestId = ++this.loadRequestId;
+
+        this.cancelRetry();
+
+        this.currentPath = path;
+        this.cachedAt = null;
+        this.renderBreadcrumb();
+
+        if (!background) {
+            this.showLoading();
+        }
+
+        try {
+            await this.loadRefKind();
+
+            const files = this.listingMode === 'tree'
+                ? await this.fetchTreeListing()
+                : await this.fetchFolderListing(path);
+
+            if (requestId !== this.loadRequestId) return;
+
+            await this.loadChanges();
+
+            if (requestId !== this.loadRequestId) return;
+
+            this.retryAttempt = 0;
+            this.lastError = null;
+            this.pruneSelection();
+            this.renderFiles(files);
+            this.renderChangesBanner();
+            this.renderCacheStatus();
+            this.renderRefNotice();
+            this.renderUploadAction();
+            this.refreshOfflineStatus();
+            this.openPendingView();
+            this.updateSlideshow();
+        } catch (error) {
+            if (requestId !== this.loadRequestId) return;
+
+            console.error('Failed to load files:', error);
+
+            if (!background) {
+                this.handleLoadError(error);
+            }
+        }
+    }
+
+    /**
+     * Fetch JSON from the GitHub API
+     */
+    async fetchJson(endpoint) {
+        const { data } = await this.requestJson(endpoint);
+        return data;
+    }
+
+    /**
+     * Fetch JSON from the GitHub API along with its pagination Link header
+     *
+     * Requests are conditional where a previous response carried an ETag, so unchanged
+     * data comes back as a 304 that does not count against the rate limit. While the
+     * quota is exhausted no request is sent at all.
+     */
+    async requestJson(endpoint) {
+        if (this.rateLimit && this.rateLimit.remaining === 0 && Date.now() < this.rateLimit.resetAt) {
+            this.logActivity('api', { method: 'GET', endpoint, status: null, error: 'Not sent: rate limit exhausted' });
+            throw new GitHubApiError('GitHub API rate limit exceeded', {
+                status: 403,
+                rateLimited: true,
+                resetAt: this.rateLimit.resetAt
+            });
+        }
+
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        const token = this.getToken();
+        const cached = this.etagCache.get(endpoint);
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        if (cached) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        let response;
+
+        try {
+            // Revalidate with the server rather than trusting the HTTP cache after a write;
+            // 'reload' also tells the service worker to skip its freshness window
+            response = await fetch(`https://api.github.com${endpoint}`, {
+                headers,
+                cache: this.bypassCache ? 'reload' : 'no-cache'
+            });
+        } catch (error) {
+            this.logActivity('api', { method: 'GET', endpoint, status: null, error: error.message });
+
+            // fetch only rejects when the request never got an answer
+            throw new GitHubApiError(error.message, {
+                code: navigator.onLine === false ? 'offline' : 'network_error'
+            });
+        }
+
+        // Responses replayed by the service worker carry stale quota headers
+        const swCachedAt = parseInt(response.headers.get('sw-cached-at'), 10);
+
+        if (Number.isFinite(swCachedAt)) {
+            this.cachedAt = this.cachedAt === null ? swCachedAt : Math.min(this.cachedAt, swCachedAt);
+        } else {
+            this.updateRateLimit(response);
+        }
+
+        this.logActivity('api', {
+            method: 'GET',
+            endpoint,
+            status: response.status,
+            source: Number.isFinite(swCachedAt) ? 'service-worker' : 'network',
+            remaining: this.rateLimit ? this.rateLimit.remaining : null
+        });
+
+        if (response.status === 304 && cached) {
+            return { data: cached.data, link: cached.link };
+        }
+
+        if (!response.ok) {
+            throw await this.createApiError(response);
+        }
+
+        let data;
+
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new GitHubApiError(`Invalid JSON from ${endpoint}`, { status: response.status, code: 'malformed' });
+        }
+
+        const etag = response.headers.get('ETag');
+        const link = response.headers.get('Link');
+
+        if (etag) {
+            this.etagCache.set(endpoint, { etag, data, link });
+        }
+
+        return { data, link };
+    }
+
+    /**
+     * Fetch every page of a list endpoint by following rel="next" links
+     */
+    async fetchAllPages(endpoint, maxPages = LIST_MAX_PAGES) {
+        let items = [];
+        let next = endpoint;
+
+        for (let page = 0; next && page < maxPages; page++) {
+            const { data, link } = await this.requestJson(next);
+
+            if (!Array.isArray(data)) {
+                throw new GitHubApiError(`Unexpected list response from ${next}`, { code: 'malformed' });
+            }
+
+            items = items.concat(data);
+            next = this.getNextPageEndpoint(link);
+        }
+
+        return items;
+    }
+
+    /**
+     * Get the API endpoint of the next page from a Link header
+     */
+    getNextPageEndpoint(link) {
+        const match = /<([^>]+)>;\s*rel="next"/.exec(link || '');
+
+        if (!match) return null;
+
+        try {
+            const url = new URL(match[1]);
+            return url.origin === 'https://api.github.com' ? url.pathname + url.search : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Build an error for a failed response, recognising primary and secondary rate limits
+     * and the offline answers produced by the service worker
+     */
+    async createApiError(response) {
+        if (response.status === 503) {
+            const body = await response.clone().json().catch(() => null);
+
+            if (body && (body.error === 'offline' || body.error === 'network_error')) {
+                return new GitHubApiError(body.message || body.error, {
+                    status: 503,
+                    code: body.offline || body.error === 'offline' ? 'offline' : 'network_error'
+                });
+            }
+        }
+
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        const exhausted = response.headers.get('X-RateLimit-Remaining') === '0';
+        const rateLimited = response.status === 429 ||
+            (response.status === 403 && (exhausted || Number.isFinite(retryAfter)));
+        let resetAt = null;
+
+        if (Number.isFinite(retryAfter)) {
+            resetAt = Date.now() + retryAfter * 1000;
+        } else if (rateLimited && this.rateLimit) {
+            resetAt = this.rateLimit.resetAt;
+        }
+
+        // Secondary limits keep some quota but still ask us to wait
+        if (rateLimited && resetAt) {
+            this.rateLimit = { ...(this.rateLimit || { limit: null }), remaining: 0, resetAt };
+            this.renderRateLimit();
+        }
+
+        return new GitHubApiError(`HTTP ${response.status}: ${response.statusText}`, {
+            status: response.status,
+            rateLimited,
+            resetAt
+        });
+    }
+
+    /**
+     * Record the quota reported by the X-RateLimit-* headers
+     */
+    updateRateLimit(response) {
+        const limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+        const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+
+        if (!Number.isFinite(limit) || !Number.isFinite(remaining) || !Number.isFinite(reset)) return;
+
+        this.rateLimit = { limit, remaining, resetAt: reset * 1000 };
+        this.renderRateLimit();
+    }
+
+    /**
+     * Show the remaining quota and when it resets
+     */
+    renderRateLimit() {
+        const { rateLimitStatus } = this.elements;
+
+        if (!rateLimitStatus || !this.rateLimit) return;
+
+        const { limit, remaining, resetAt } = this.rateLimit;
+
+        rateLimitStatus.textContent = this.translate('rate_limit_status', {
+            remaining,
+            limit: limit === null ? '?' : limit,
+            time: this.formatTime(resetAt)
+        });
+        rateLimitStatus.classList.toggle('rate-limit-low', limit ? remaining / limit < 0.1 : remaining === 0);
+    }
+
+    /**
+     * Tell the user when the listing came from the service worker cache
+     */
+    renderCacheStatus() {
+        const { cacheStatus } = this.elements;
+
+        if (!cacheStatus) return;
+
+        // Anything younger than a minute is as good as live
+        const minutes = this.cachedAt === null ? 0 : Math.floor((Date.now() - this.cachedAt) / 60000);
+
+        if (minutes < 1) {
+            cacheStatus.textContent = '';
+            return;
+        }
+
+        let age;
+
+        try {
+            age = this.getNumberFormat({ style: 'unit', unit: 'minute', unitDisplay: 'long' }).format(minutes);
+        } catch (error) {
+            age = `${minutes} min`;
+        }
+
+        cacheStatus.textContent = this.translate('served_from_cache', { age });
+    }
+
+    /**
+     * Reload quietly when the service worker finds newer API data in the background
+     */
+    setupServiceWorkerMessages() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+
+            // Acknowledge messages sent over a MessageChannel
+            if (event.ports && event.ports[0]) {
+                event.ports[0].postMessage({ received: true });
+            }
+
+            if (message.type === 'API_UPDATED' && this.isCurrentRepoUrl(message.url)) {
+                this.loadFiles(this.currentPath, { background: true });
+            }
+
+            // Background sync refreshed the cached tree; reloading picks up the badges
+            if (message.type === 'REPO_CHANGES' && message.repo === this.config.repo) {
+                this.loadFiles(this.currentPath, { background: true });
+            }
+        });
+    }
+
+    /**
+     * Setup "new since your last visit" tracking and background sync
+     */
+    setupChangeTracking() {
+        this.elements.changesDismiss?.addEventListener('click', () => this.markSeen());
+
+        document.addEventListener('visibilitychange', () => {
+            const shown = this.changesShown;
+
+            if (document.visibilityState === 'visible') {
+                shown.since = Date.now();
+                return;
+            }
+
+            if (shown.since !== null) {
+                shown.total += Date.now() - shown.since;
+                shown.since = null;
+            }
+
+            // Leaving only counts as having seen badges that were on screen for a while; badges
+            // are never computed for other branches or tags, whose files the record does not cover
+            if (this.hasChanges() && !this.ref && shown.total >= CHANGES_SEEN_AFTER) {
+                this.markSeen({ render: false });
+            }
+        });
+
+        this.writeWatchedRepository();
+        this.registerPeriodicSync();
+    }
+
+    /**
+     * Get the Cache Storage URL of a shared state record
+     */
+    getStateUrl(key) {
+        return `${window.location.origin}${STATE_URL_PATH}${key}`;
+    }
+
+    /**
+     * Read a state record shared with the service worker
+     */
+    async readState(key) {
+        if (!('caches' in window)) return null;
+
+        try {
+            const cache = await caches.open(STATE_CACHE_NAME);
+            const response = await cache.match(this.getStateUrl(key));
+            return response ? await response.json() : null;
+        } catch (error) {
+            console.warn('Failed to read state:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write a state record shared with the service worker
+     */
+    async writeState(key, value) {
+        if (!('caches' in window)) return;
+
+        try {
+            const cache = await caches.open(STATE_CACHE_NAME);
+            await cache.put(this.getStateUrl(key), new Response(JSON.stringify(value), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        } catch (error) {
+            console.warn('Failed to write state:', error);
+        }
+    }
+
+    /**
+     * Add the repository this page was generated for to the list the service worker syncs
+     */
+    async writeWatchedRepository() {
+        if (!this.defaultRepo) return;
+
+        const watched = (await this.readState('watch')) || [];
+
+        if (!watched.includes(this.defaultRepo)) {
+            await this.writeState('watch', [...watched, this.defaultRepo]);
+        }
+    }
+
+    /**
+     * Ask for periodic background refreshes where the browser allows them
+     */
+    async registerPeriodicSync() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+
+            if ('periodicSync' in registration) {
+                await registration.periodicSync.register(SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+            }
+        } catch (error) {
+            // Periodic sync needs an installed app and permission; one-off sync still works,
+            // so this is the usual case rather than a failure
+        }
+    }
+
+    /**
+     * Ask for a one-off background sync once connectivity returns
+     */
+    async requestBackgroundSync() {
+        if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+
+            if ('sync' in registration) {
+                await registration.sync.register(SYNC_TAG);
+            }
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    }
+
+    /**
+     * Diff the loaded tree against the blob SHAs recorded on the last visit
+     *
+     * Only the Git Trees listing knows every file, so folder-by-folder listings skip this.
+     */
+    async loadChanges() {
+        const hadChanges = this.hasChanges();
+
+        this.changes = null;
+
+        // The recorded SHAs belong to the default branch
+        if (!this.treeListing || this.ref) return;
+
+        const seen = await this.readState(`seen/${this.config.repo}`);
+
+        // First visit: remember everything, badge nothing
+        if (!seen || !seen.shas) {
+            await this.markSeen({ render: false });
+            return;
+        }
+
+        const added = new Set();
+        const modified = new Set();
+        const folders = new Set();
+
+        this.treeListing.entries
+            .filter(entry => entry.type === 'file')
+            .forEach(entry => {
+                const seenSha = seen.shas[entry.path];
+
+                if (seenSha === entry.sha) return;
+
+                (seenSha ? modified : added).add(entry.path);
+
+                // Badge every folder on the way down to the changed file
+                let parent = this.getParentPath(entry.path);
+                while (parent) {
+                    folders.add(parent);
+                    parent = this.getParentPath(parent);
+                }
+            });
+
+        if (added.size > 0 || modified.size > 0) {
+            this.changes = { added, modified, folders };
+
+            // Badges that just appeared start their on-screen time from now
+            if (!hadChanges) {
+                this.changesShown = {
+                    total: 0,
+                    since: document.visibilityState === 'visible' ? Date.now() : null
+                };
+            }
+        }
+    }
+
+    /**
+     * Check whether there are unseen changes
+     */
+    hasChanges() {
+        return Boolean(this.changes);
+    }
+
+    /**
+     * Record the current tree as seen and clear the badges
+     */
+    async markSeen({ render = true } = {}) {
+        if (!this.treeListing) return;
+
+        const shas = {};
+
+        this.treeListing.entries
+            .filter(entry => entry.type === 'file')
+            .forEach(entry => {
+                shas[entry.path] = entry.sha;
+            });
+
+        this.changes = null;
+
+        if (render) {
+            this.renderChangesBanner();
+            this.renderFiles(this.files);
+        }
+
+        await this.writeState(`seen/${this.config.repo}`, {
+            ref: this.treeListing.ref,
+            updatedAt: Date.now(),
+            shas
+        });
+    }
+
+    /**
+     * Show how many screenshots arrived since the last visit
+     */
+    renderChangesBanner() {
+        const { changesBanner, changesText } = this.elements;
+
+        if (!changesBanner) return;
+
+        if (!this.changes) {
+            changesBanner.hidden = true;
+            return;
+        }
+
+        const images = [...this.changes.added]
+            .filter(path => this.getFileCategory({ type: 'file', name: path }) === 'image')
+            .length;
+        const key = images > 0 ? 'changes_new_screenshots' : 'changes_files';
+        const vars = { count: images > 0 ? images : this.changes.added.size + this.changes.modified.size };
+
+        if (changesText) {
+            changesText.setAttribute('data-i18n', key);
+            changesText.setAttribute('data-i18n-vars', JSON.stringify(vars));
+            changesText.textContent = this.translate(key, vars);
+        }
+
+        changesBanner.hidden = false;
+    }
+
+    /**
+     * Get the "new" or "updated" badge key for an entry, if any
+     */
+    getChangeBadge(file) {
+        if (!this.changes) return null;
+
+        if (file.type === 'dir') {
+            return this.changes.folders.has(file.path) ? 'badge_updated' : null;
+        }
+
+        if (this.changes.added.has(file.path)) return 'badge_new';
+        if (this.changes.modified.has(file.path)) return 'badge_updated';
+
+        return null;
+    }
+
+    /**
+     * Offer to switch to a newly installed service worker
+     *
+     * The registration script in index.html announces waiting workers; the switch only
+     * happens once the user accepts, and its controllerchange handler then reloads.
+     */
+    setupUpdatePrompt() {
+        const { updateBanner, updateReload, updateDismiss } = this.elements;
+
+        if (!updateBanner) return;
+
+        window.addEventListener('sw-update-available', (event) => {
+            this.waitingWorker = event.detail && event.detail.worker;
+            updateBanner.hidden = !this.waitingWorker;
+        });
+
+        updateReload?.addEventListener('click', () => {
+            if (!this.waitingWorker) return;
+
+            updateReload.disabled = true;
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        });
+
+        updateDismiss?.addEventListener('click', () => {
+            updateBanner.hidden = true;
+        });
+    }
+
+    /**
+     * Check whether an API URL belongs to the configured repository
+     */
+    isCurrentRepoUrl(url) {
+        try {
+            const { pathname } = new URL(url);
+            const base = `/repos/${this.config.repo}`;
+            return pathname === base || pathname.startsWith(`${base}/`);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Map a load failure to a localized error state
+     *
+     * Returns the translation key and variables for the message, whether the error is
+     * worth retrying and, for automatic retries, when to try again.
+     */
+    classifyError(error) {
+        const vars = { repo: this.config.repo, status: error.status, detail: error.message };
+
+        if (error.rateLimited) {
+            return {
+                key: 'rate_limited',
+                vars: { time: this.formatTime(error.resetAt || Date.now() + RETRY_MAX_DELAY) },
+                transient: true,
+                // The window is only guaranteed to be reset a moment after resetAt
+                retryAt: (error.resetAt || Date.now() + RETRY_MAX_DELAY) + 1000
+            };
+        }
+
+        if (error.code === 'offline' || navigator.onLine === false) {
+            // The 'online' event triggers the retry
+            return { key: 'error_offline', vars, transient: true, retryAt: null };
+        }
+
+        const backoff = () => Date.now() + Math.min(RETRY_BASE_DELAY * 2 ** this.retryAttempt, RETRY_MAX_DELAY);
+
+        switch (error.code) {
+        case 'network_error':
+            // Only a controlling service worker could have had a cached copy to offer
+            return {
+                key: navigator.serviceWorker?.controller ? 'error_sw_unavailable' : 'error_network',
+                vars,
+                transient: true,
+                retryAt: backoff()
+            };
+        case 'malformed':
+            return { key: 'error_malformed', vars, transient: true, retryAt: null };
+        default:
+            break;
+        }
+
+        if (error.status === 401) {
+            return { key: 'error_unauthorized', vars, transient: false };
+        }
+
+        // The repository itself answered, so the 404 is for the branch or tag
+        if (error.status === 404 && this.ref && this.repoInfo) {
+            return { key: 'error_ref_not_found', vars: { ...vars, ref: this.ref }, transient: false };
+        }
+
+        // GitHub answers 404 for private repositories too, so one message covers both
+        if (error.status === 404) {
+            return { key: 'error_not_found', vars, transient: false };
+        }
+
+        if (error.status >= 500) {
+            return { key: 'error_server', vars, transient: true, retryAt: backoff() };
+        }
+
+        return { key: 'error_unknown', vars, transient: true, retryAt: null };
+    }
+
+    /**
+     * Show the error state for a failed load and schedule a retry if it is transient
+     */
+    handleLoadError(error) {
+        const { key, vars, transient, retryAt } = this.classifyError(error);
+
+        this.logActivity('error', {
+            context: 'load',
+            key,
+            status: error.status || null,
+            code: error.code || null,
+            message: error.message
+        });
+
+        this.lastError = { key, transient };
+        this.showError(key, vars, { retry: transient });
+
+        if (transient && retryAt) {
+            this.scheduleRetry(retryAt);
+        }
+
+        // Let the service worker refresh the listing as soon as the connection returns
+        if (['error_offline', 'error_network', 'error_sw_unavailable'].includes(key)) {
+            this.requestBackgroundSync();
+        }
+    }
+
+    /**
+     * Setup the Retry button and reload when the connection comes back
+     */
+    setupErrorRecovery() {
+        this.elements.errorRetry?.addEventListener('click', () => {
+            this.retryAttempt = 0;
+            this.loadFiles();
+        });
+
+        window.addEventListener('online', () => {
+            if (this.lastError && this.lastError.transient) {
+                this.retryAttempt = 0;
+                this.loadFiles();
+            }
+        });
+    }
+
+    /**
+     * Retry loading at the given time
+     */
+    scheduleRetry(retryAt) {
+        clearTimeout(this.retryTimer);
+
+        const delay = Math.max(retryAt - Date.now(), 0);
+        const { errorRetryStatus } = this.elements;
+
+        if (errorRetryStatus) {
+            errorRetryStatus.textContent = this.translate('retry_in', { seconds: Math.ceil(delay / 1000) });
+        }
+
+        this.retryAttempt++;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.loadFiles();
+        }, delay);
+    }
+
+    /**
+     * Stop any pending automatic retry
+     */
+    cancelRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        if (this.elements.errorRetryStatus) {
+            this.elements.errorRetryStatus.textContent = '';
+        }
+    }
+
+    /**
+     * Format a timestamp as a short local time
+     */
+    formatTime(timestamp) {
+        try {
+            return new Intl.DateTimeFormat(this.currentLanguage, { timeStyle: 'short' }).format(timestamp);
+        } catch (error) {
+            return new Date(timestamp).toLocaleTimeString();
+        }
+    }
+
+    /**
+     * Get the personal access token for this browser session, if any
+     */
+    getToken() {
+        try {
+            return sessionStorage.getItem('github_pages_token') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Store or forget the session token; cached responses belong to the previous identity
+     */
+    setToken(token) {
+        try {
+            if (token) {
+                sessionStorage.setItem('github_pages_token', token);
+            } else {
+                sessionStorage.removeItem('github_pages_token');
+            }
+        } catch (error) {
+            console.warn('Failed to store token:', error);
+        }
+
+        this.etagCache.clear();
+        this.rateLimit = null;
+    }
+
+    /**
+     * Fetch a single folder through the Contents API
+     */
+    async fetchFolderListing(path) {
+        await this.fetchRepoInfo();
+
+        const contentsPath = path ? `/${this.encodePath(path)}` : '';
+        const refQuery = this.ref ? `?ref=${encodeURIComponent(this.ref)}` : '';
+        const files = await this.fetchJson(`/repos/${this.config.repo}/contents${contentsPath}${refQuery}`);
+
+        if (!Array.isArray(files)) {
+            throw new GitHubApiError(`${path || '/'} is not a directory`, { code: 'malformed' });
+        }
+
+        return files;
+    }
+
+    /**
+     * Fetch repository details once per repository
+     *
+     * A repository without a Pages site is still browsable through raw file links;
+     * renderRefNotice says so above the listing.
+     */
+    async fetchRepoInfo() {
+        if (this.repoInfo) return this.repoInfo;
+
+        const repoInfo = await this.fetchJson(`/repos/${this.config.repo}`);
+
+        if (!repoInfo || typeof repoInfo.default_branch !== 'string') {
+            throw new GitHubApiError('Unexpected repository response', { code: 'malformed' });
+        }
+
+        this.repoInfo = repoInfo;
+        this.renderRefOptions();
+        await this.loadPagesSource(repoInfo);
+
+        return repoInfo;
+    }
+
+    /**
+     * Find out which branch and folder GitHub Pages publishes
+     */
+    async loadPagesSource(repoInfo) {
+        if (this.pagesSource !== undefined) return;
+
+        if (!repoInfo.has_pages) {
+            this.pagesSource = null;
+            return;
+        }
+
+        try {
+            const pages = await this.fetchJson(`/repos/${this.config.repo}/pages`);
+            const source = pages && pages.source;
+
+            this.pagesSource = {
+                branch: source && source.branch ? source.branch : repoInfo.default_branch,
+                path: source && source.path ? source.path : '/'
+            };
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            this.pagesSource = null;
+        }
+    }
+
+    /**
+     * Get the branch or tag being browsed
+     */
+    getBrowsedRef() {
+        return this.ref || (this.repoInfo ? this.repoInfo.default_branch : 'HEAD');
+    }
+
+    /**
+     * Whether GitHub Pages serves the files being browsed
+     */
+    isServedByPages() {
+        if (this.pagesSource === undefined) return !this.ref;
+
+        return Boolean(this.pagesSource) && this.pagesSource.branch === this.getBrowsedRef();
+    }
+
+    /**
+     * Map a repository path to its path on the Pages site, or null if it is not published
+     */
+    getPagesSitePath(path) {
+        const root = (this.pagesSource ? this.pagesSource.path : '/').replace(/^\/+|\/+$/g, '');
+
+        if (!root) return path;
+
+        return path.startsWith(`${root}/`) ? path.slice(root.length + 1) : null;
+    }
+
+    /**
+     * Get the raw.githubusercontent.com URL of a file on the browsed ref
+     */
+    getRawUrl(path) {
+        return `https://raw.githubusercontent.com/${this.config.repo}/${this.encodePath(this.getBrowsedRef())}/${this.encodePath(path)}`;
+    }
+
+    /**
+     * Setup the repository input and the branch and tag selector
+     *
+     * Both lists are only requested once the control is focused.
+     */
+    setupSourceSelector() {
+        const { refSelect, repoInput } = this.elements;
+
+        this.renderRepoName();
+        this.renderRefOptions();
+
+        if (refSelect) {
+            refSelect.addEventListener('focus', () => this.loadRefs());
+            refSelect.addEventListener('change', () => this.switchRef(refSelect.value));
+        }
+
+        if (repoInput) {
+            repoInput.addEventListener('focus', () => this.loadOwnerRepos());
+            repoInput.addEventListener('input', () => repoInput.setCustomValidity(''));
+            repoInput.addEventListener('change', () => {
+                const repo = repoInput.value.trim().replace(/^https:\/\/github\.com\//, '').replace(/\/+$/, '');
+
+                if (!REPO_PATTERN.test(repo)) {
+                    repoInput.setCustomValidity(this.translate('repo_invalid'));
+                    repoInput.reportValidity();
+                    return;
+                }
+
+                this.switchRepository(repo);
+            });
+        }
+    }
+
+    /**
+     * Show the browsed repository in the header and the repository input
+     */
+    renderRepoName() {
+        document.querySelectorAll('.repo-name').forEach(element => {
+            element.textContent = this.config.repo;
+        });
+
+        const { repoInput } = this.elements;
+
+        if (repoInput) {
+            repoInput.value = this.config.repo;
+        }
+    }
+
+    /**
+     * Fill the ref selector with the default branch, other branches and tags
+     */
+    renderRefOptions() {
+        const { refSelect: select } = this.elements;
+
+        if (!select) return;
+
+        const defaultBranch = this.repoInfo ? this.repoInfo.default_branch : null;
+        const defaultOption = document.createElement('option');
+
+        defaultOption.value = '';
+        defaultOption.setAttribute('data-i18n', defaultBranch ? 'ref_default_named' : 'ref_default');
+        defaultOption.setAttribute('data-i18n-vars', JSON.stringify({ branch: defaultBranch }));
+        defaultOption.textContent = this.translate(defaultBranch ? 'ref_default_named' : 'ref_default', { branch: defaultBranch });
+
+        select.textContent = '';
+        select.appendChild(defaultOption);
+
+        const listed = new Set();
+        const groups = this.refs
+            ? [['ref_branches', this.refs.branches.filter(name => name !== defaultBranch)], ['ref_tags', this.refs.tags]]
+            : [];
+
+        groups.forEach(([labelKey, names]) => {
+            if (names.length === 0) return;
+
+            const group = document.createElement('optgroup');
+            group.setAttribute('data-i18n-label', labelKey);
+            group.label = this.translate(labelKey);
+
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                group.appendChild(option);
+                listed.add(name);
+            });
+
+            select.appendChild(group);
+        });
+
+        // A ref from the URL stays selectable before the lists arrive, or if it is not in them
+        if (this.ref && !listed.has(this.ref)) {
+            const option = document.createElement('option');
+            option.value = this.ref;
+            option.textContent = this.ref;
+            select.appendChild(option);
+        }
+
+        select.value = this.ref || '';
+    }
+
+    /**
+     * Load the branches and tags of the browsed repository
+     */
+    async loadRefs() {
+        if (this.refs || this.refsLoading || !this.config.repo) return;
+
+        const repo = this.config.repo;
+        this.refsLoading = true;
+
+        try {
+            const [branches, tags] = await Promise.all([
+                this.fetchAllPages(`/repos/${repo}/branches?per_page=100`),
+                this.fetchAllPages(`/repos/${repo}/tags?per_page=100`)
+            ]);
+
+            if (repo !== this.config.repo) return;
+
+            this.refs = {
+                branches: branches.map(branch => branch.name),
+                tags: tags.map(tag => tag.name)
+            };
+            this.renderRefOptions();
+        } catch (error) {
+            console.warn('Failed to load branches and tags:', error);
+        } finally {
+            this.refsLoading = false;
+        }
+    }
+
+    /**
+     * Offer the owner's public repositories as suggestions in the repository input
+     */
+    async loadOwnerRepos() {
+        const { repoOptions: datalist } = this.elements;
+
+        if (this.ownerRepos || !datalist || !this.defaultRepo) return;
+
+        const owner = this.defaultRepo.split('/')[0];
+        this.ownerRepos = [];
+
+        try {
+            const repos = await this.fetchAllPages(`/users/${encodeURIComponent(owner)}/repos?per_page=100&sort=pushed`, 3);
+
+            this.ownerRepos = repos.map(repo => repo.full_name);
+            datalist.textContent = '';
+            this.ownerRepos.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                datalist.appendChild(option);
+            });
+        } catch (error) {
+            // Try again on the next focus
+            this.ownerRepos = null;
+            console.warn('Failed to load repositories:', error);
+        }
+    }
+
+    /**
+     * Browse another repository from its default branch
+     */
+    switchRepository(repo) {
+        if (repo === this.config.repo) return;
+
+        this.config.repo = repo;
+        this.ref = null;
+        this.refKind = null;
+        this.repoInfo = null;
+        this.refs = null;
+        this.pagesSource = undefined;
+        this.resetSource();
+        this.renderRepoName();
+        this.setRoute({ path: '' }, { replace: true });
+        this.loadFiles('');
+    }
+
+    /**
+     * Browse another branch or tag of the current repository ('' = default branch)
+     */
+    switchRef(ref) {
+        const next = ref || null;
+
+        if (next === this.ref) return;
+
+        this.ref = next;
+        // The switcher lists branches and tags apart, so a ref picked there needs no lookup
+        this.refKind = next && this.refs ? (this.refs.branches.includes(next) ? 'branch' : 'tag') : null;
+        this.resetSource();
+
+        // Folder listings would 404 on a ref without the folder; the tree simply shows it empty
+        const path = this.listingMode === 'tree' ? this.currentPath : '';
+
+        this.setRoute({ path }, { replace: true });
+        this.loadFiles(path);
+    }
+
+    /**
+     * Drop state that belongs to the previously browsed source
+     */
+    resetSource() {
+        this.treeListing = null;
+        this.changes = null;
+        this.selection.clear();
+        this.selectionMessage = null;
+        this.writeSourceState();
+        this.renderRefOptions();
+        this.renderRefNotice();
+        this.renderChangesBanner();
+        this.renderSelectionBar();
+        this.renderUploadAction();
+    }
+
+    /**
+     * Find out whether the browsed ref is a branch or a tag
+     *
+     * A ref from the switcher is already known; one from the URL is looked up once.
+     */
+    async loadRefKind() {
+        if (!this.ref) {
+            this.refKind = 'branch';
+            return;
+        }
+
+        if (this.refKind) return;
+
+        const ref = this.ref;
+
+        try {
+            await this.fetchJson(`/repos/${this.config.repo}/git/ref/heads/${this.encodePath(ref)}`);
+            if (ref === this.ref) this.refKind = 'branch';
+        } catch (error) {
+            // Without a branch of that name it is a tag (or nothing, which the listing reports)
+            if (error.status === 404) {
+                if (ref === this.ref) this.refKind = 'tag';
+            } else {
+                console.warn('Failed to look up the browsed ref:', error);
+            }
+        }
+    }
+
+    /**
+     * Whether commits and uploads can go to the browsed ref
+     */
+    isBranchBrowsed() {
+        return !this.ref || this.refKind === 'branch';
+    }
+
+    /**
+     * Disable the upload action where uploads cannot go, i.e. on a tag
+     */
+    renderUploadAction() {
+        const { uploadAction } = this.elements;
+
+        if (!uploadAction) return;
+
+        uploadAction.disabled = !this.isBranchBrowsed();
+
+        if (uploadAction.disabled) {
+            uploadAction.title = this.translate('upload_ref_read_only', { ref: this.getBrowsedRef() });
+        } else {
+            uploadAction.removeAttribute('title');
+        }
+    }
+
+    /**
+     * Explain where file links point when Pages does not serve the browsed ref
+     */
+    renderRefNotice() {
+        const { refNotice: notice } = this.elements;
+
+        if (!notice) return;
+
+        let key = null;
+        let vars = {};
+
+        if (this.pagesSource === null) {
+            key = 'ref_notice_no_pages';
+            vars = { repo: this.config.repo };
+        } else if (this.pagesSource && !this.isServedByPages()) {
+            key = 'ref_notice_raw';
+            vars = { ref: this.getBrowsedRef(), pagesBranch: this.pagesSource.branch };
+        }
+
+        notice.hidden = key === null;
+
+        if (key) {
+            notice.setAttribute('data-i18n', key);
+            notice.setAttribute('data-i18n-vars', JSON.stringify(vars));
+            notice.textContent = this.translate(key, vars);
+        }
+    }
+
+    /**
+     * Fetch the whole browsed branch or tag through one recursive Git Trees request
+     */
+    async fetchTreeListing() {
+        const repoInfo = await this.fetchRepoInfo();
+        const ref = this.ref || repoInfo.default_branch;
+        let tree;
+
+        try {
+            // Slashes in branch names stay path separators, as in raw URLs
+            tree = await this.fetchJson(`/repos/${this.config.repo}/git/trees/${this.encodePath(ref)}?recursive=1`);
+        } catch (error) {
+            // 409 Conflict means the repository has no commits yet
+            if (error.status !== 409) throw error;
+            tree = { sha: null, truncated: false, tree: [] };
+        }
+
+        if (!Array.isArray(tree.tree)) {
+            throw new GitHubApiError('Unexpected Git Trees response', { code: 'malformed' });
+        }
+
+        // GitHub caps recursive responses; walk the folders one level at a time instead
+        const entries = tree.truncated
+            ? await this.walkTree(tree.sha)
+            : tree.tree;
+
+        this.treeListing = {
+            ref,
+            sha: tree.sha,
+            truncated: Boolean(tree.truncated),
+            entries: entries
+                .filter(entry => entry.type === 'blob' || entry.type === 'tree')
+                .map(entry => this.normalizeTreeEntry(entry, ref)),
+            // Submodules are not listed, but moves must not leave them behind
+            submodules: entries.filter(entry => entry.type === 'commit').map(entry => entry.path)
+        };
+
+        return this.treeListing.entries;
+    }
+
+    /**
+     * Collect a tree by requesting each folder non-recursively, a few at a time
+     */
+    async walkTree(rootSha) {
+        const entries = [];
+        const queue = [{ sha: rootSha, prefix: '' }];
+        const concurrency = 4;
+        let inFlight = 0;
+
+        // Each finished folder queues its subfolders and tops the requests back up to the limit
+        await new Promise((resolve, reject) => {
+            const fill = () => {
+                if (queue.length === 0 && inFlight === 0) {
+                    resolve();
+                    return;
+                }
+
+                while (inFlight < concurrency && queue.length > 0) {
+                    const { sha, prefix } = queue.shift();
+
+                    inFlight++;
+                    this.fetchJson(`/repos/${this.config.repo}/git/trees/${sha}`).then(tree => {
+                        (tree.tree || []).forEach(entry => {
+                            const path = prefix + entry.path;
+                            entries.push({ ...entry, path });
+
+                            if (entry.type === 'tree') {
+                                queue.push({ sha: entry.sha, prefix: `${path}/` });
+                            }
+                        });
+
+                        inFlight--;
+                        fill();
+                    }, reject);
+                }
+            };
+
+            fill();
+        });
+
+        return entries;
+    }
+
+    /**
+     * Convert a Git Trees entry to the shape returned by the Contents API
+     */
+    normalizeTreeEntry(entry, ref) {
+        const isDir = entry.type === 'tree';
+        const repoUrl = `https://github.com/${this.config.repo}`;
+        const encodedPath = this.encodePath(entry.path);
+
+        return {
+            name: entry.path.split('/').pop(),
+            path: entry.path,
+            type: isDir ? 'dir' : 'file',
+            sha: entry.sha,
+            mode: entry.mode,
+            size: entry.size || 0,
+            html_url: `${repoUrl}/${isDir ? 'tree' : 'blob'}/${this.encodePath(ref)}/${encodedPath}`,
+            download_url: isDir ? null : this.getRawUrl(entry.path)
+        };
+    }
+
+    /**
+     * Open a folder inside the page
+     */
+    navigateTo(path, { updateRoute = true } = {}) {
+        const normalized = (path || '').split('/').filter(Boolean).join('/');
+
+        if (updateRoute) {
+            this.setRoute({ path: normalized });
+        }
+
+        // The full tree is already loaded, so folders are just a different slice of it
+        if (this.listingMode === 'tree' && this.treeListing) {
+            this.currentPath = normalized;
+            this.renderBreadcrumb();
+            this.renderFiles(this.treeListing.entries);
+            return Promise.resolve();
+        }
+
+        this.clearFileList();
+
+        return this.loadFiles(normalized);
+    }
+
+    /**
+     * Get the path of the folder containing the given path
+     */
+    getParentPath(path) {
+        const segments = (path || '').split('/').filter(Boolean);
+        segments.pop();
+        return segments.join('/');
+    }
+
+    /**
+     * Encode each segment of a repository path for use in a URL
+     */
+    encodePath(path) {
+        return (path || '').split('/').filter(Boolean).map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * Render the breadcrumb trail for the current folder
+     */
+    renderBreadcrumb() {
+        const { breadcrumb } = this.elements;
+
+        if (!breadcrumb) return;
+
+        const list = document.createElement('ol');
+        list.className = 'breadcrumb-list';
+
+        const segments = this.currentPath ? this.currentPath.split('/') : [];
+        const crumbs = [{ label: this.config.repo.split('/').pop(), path: '' }].concat(
+            segments.map((segment, index) => ({
+                label: segment,
+                path: segments.slice(0, index + 1).join('/')
+            }))
+        );
+
+        crumbs.forEach((crumb, index) => {
+            const item = document.createElement('li');
+            item.className = 'breadcrumb-item';
+
+            if (index === crumbs.length - 1) {
+                const current = document.createElement('span');
+                current.textContent = crumb.label;
+                current.setAttribute('aria-current', 'page');
+                item.appendChild(current);
+            } else {
+                const link = document.createElement('a');
+                link.href = this.getDirectoryUrl(crumb.path);
+                link.textContent = crumb.label;
+                this.bindFolderLink(link, crumb.path);
+                item.appendChild(link);
+            }
+
+            list.appendChild(item);
+        });
+
+        breadcrumb.innerHTML = '';
+        breadcrumb.appendChild(list);
+    }
+
+    /**
+     * Make a link open a folder in the page, while modified clicks keep the GitHub URL
+     */
+    bindFolderLink(link, path) {
+        link.addEventListener('click', (event) => {
+            if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+                return;
+            }
+
+            event.preventDefault();
+            this.navigateTo(path);
+        });
+    }
+
+    /**
+     * Render files list
+     */
+    renderFiles(files) {
+        const { filesList } = this.elements;
+
+        if (!filesList) return;
+
+        const listingChanged = (files || []) !== this.files;
+
+        this.files = files || [];
+
+        // Filters, selection and layout leave the totals alone, so they are only counted per listing
+        if (listingChanged) {
+            this.renderStorageStats(this.files);
+        }
+
+        const folderFiles = this.getScopedFiles(this.files);
+        const scopedFiles = this.filterFiles(folderFiles);
+
+        // Grouping and filtering by world need each screenshot's embedded metadata
+        if (this.layout === 'world' || this.filters.world) {
+            this.ensurePngMetadata(folderFiles);
+        }
+        const showParent = Boolean(this.currentPath) && this.layout === 'folders';
+        const sortedFiles = this.sortFiles(scopedFiles);
+
+        this.renderFilterSummary(scopedFiles.length, folderFiles.length);
+        this.renderListStatus(scopedFiles.length, folderFiles.length);
+
+        // Gallery rows hold as many cards as the grid has columns
+        filesList.classList.toggle('files-grid', this.viewMode === 'grid');
+        this.listColumns = this.getListColumns();
+        this.listGap = parseFloat(window.getComputedStyle(filesList).rowGap) || 0;
+
+        const timeline = this.layout === 'timeline' ? this.groupTimeline(sortedFiles) : [];
+        const { rows, items } = this.buildListRows(sortedFiles, timeline, showParent);
+
+        this.listRows = rows;
+        this.listItems = items;
+        this.listItemsByKey = new Map(items.map(item => [item.key, item]));
+        this.displayedFiles = items.map(item => item.file).filter(file => file.type !== 'parent');
+        this.rowOffsets = null;
+        this.listVersion++;
+        this.pruneListCaches();
+
+        this.renderTimelineIndex(timeline);
+        this.updateVirtualList();
+
+        // The grid's column count is only known once the list is laid out
+        this.scheduleListUpdate();
+
+        if (scopedFiles.length === 0) {
+            this.showEmpty(folderFiles.length > 0 ? 'no_matches' : null);
+            return;
+        }
+
+        this.hideAllStates();
+    }
+
+    /**
+     * Flatten the listing into rows: group and timeline headers, then one row per file,
+     * or one row per line of cards in the gallery view
+     *
+     * Each file becomes an item with its position, which keyboard navigation moves between.
+     * Rows remember the sticky timeline headers above them so those stay rendered.
+     */
+    buildListRows(files, timeline, showParent) {
+        const rows = [];
+        const items = [];
+        const grid = this.viewMode === 'grid';
+        const columns = grid ? this.listColumns : 1;
+
+        const addFiles = (sectionFiles, getLabel, { nested = false, parents = [] } = {}) => {
+            for (let start = 0; start < sectionFiles.length; start += columns) {
+                const rowIndex = rows.length;
+                const rowItems = sectionFiles.slice(start, start + columns).map((file, column) => {
+                    const item = {
+                        key: `item:${file.type}:${file.path}`,
+                        file,
+                        label: getLabel(file),
+                        nested,
+                        rowIndex,
+                        column,
+                        index: items.length
+                    };
+                    items.push(item);
+                    return item;
+                });
+
+                rows.push({
+                    key: grid ? `cards:${rowItems[0].key}:${rowItems.length}` : rowItems[0].key,
+                    kind: grid ? 'cards' : 'item',
+                    items: rowItems,
+                    parents
+                });
+            }
+        };
+        const addHeader = (row, parents = []) => {
+            rows.push({ ...row, parents });
+            return rows.length - 1;
+        };
+        const groupBy = LAYOUT_GROUPING[this.layout];
+
+        if (this.layout === 'timeline') {
+            timeline.forEach(month => {
+                const monthIndex = addHeader({ key: `month:${month.key}`, kind: 'month', month });
+
+                month.days.forEach(day => {
+                    // The undated group has a single day; its month header already names it
+                    const parents = month.key === 'undated'
+                        ? [monthIndex]
+                        : [monthIndex, addHeader({ key: `day:${day.key}`, kind: 'day', day }, [monthIndex])];
+
+                    addFiles(day.files, file => this.getRelativePath(file.path), { nested: true, parents });
+                });
+            });
+        } else if (groupBy) {
+            this.groupFiles(files, groupBy).forEach(group => {
+                addHeader({ key: `group:${group.key}`, kind: 'group', group });
+                addFiles(group.files, file => group.folder === undefined ? this.getRelativePath(file.path) : file.name, { nested: true });
+            });
+        } else {
+            addFiles(showParent ? [this.getParentEntry(), ...files] : files, file => this.getFileLabel(file));
+        }
+
+        return { rows, items };
+    }
+
+    /**
+     * Count the gallery grid's columns, falling back to the card width when it is not laid out
+     */
+    getListColumns() {
+        const { filesList } = this.elements;
+
+        if (this.viewMode !== 'grid' || !filesList) return 1;
+
+        const style = window.getComputedStyle(filesList);
+        const tracks = style.gridTemplateColumns.split(' ').filter(track => /px$/.test(track)).length;
+
+        if (tracks > 0) return tracks;
+
+        const gap = parseFloat(style.columnGap) || 0;
+        return Math.max(1, Math.floor((filesList.clientWidth + gap) / (GALLERY_MIN_CARD_WIDTH + gap)));
+    }
+
+    /**
+     * Drop cached elements and heights of rows the listing no longer has
+     */
+    pruneListCaches() {
+        const keys = new Set(this.listRows.map(row => row.key));
+        this.listItems.forEach(item => keys.add(item.key));
+
+        this.rowElements.forEach((entry, key) => {
+            if (!keys.has(key)) this.rowElements.delete(key);
+        });
+        this.rowHeights.forEach((height, key) => {
+            if (!keys.has(key)) this.rowHeights.delete(key);
+        });
+    }
+
+    /**
+     * Empty the file list, e.g. while another folder loads
+     */
+    clearFileList() {
+        this.listRows = [];
+        this.listItems = [];
+        this.listItemsByKey = new Map();
+        this.rowOffsets = null;
+        this.updateVirtualList();
+    }
+
+    /**
+     * Setup scroll tracking and keyboard navigation for the file list
+     */
+    setupFileList() {
+        const { filesList } = this.elements;
+
+        if (!filesList) return;
+
+        window.addEventListener('scroll', () => this.scheduleListUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleListUpdate());
+
+        filesList.addEventListener('keydown', (event) => this.handleListKeydown(event));
+
+        // Whatever item receives focus, by keyboard or mouse, becomes the list's tab stop
+        filesList.addEventListener('focusin', (event) => {
+            const element = event.target.closest('[data-item-index]');
+            const item = element ? this.listItems[Number(element.dataset.itemIndex)] : null;
+
+            if (item && item.key !== this.activeItemKey) {
+                this.setActiveItem(item);
+            }
+        });
+    }
+
+    /**
+     * Update the rendered rows on the next frame
+     */
+    scheduleListUpdate() {
+        if (this.listFrame !== null) return;
+
+        this.listFrame = window.requestAnimationFrame(() => {
+            this.listFrame = null;
+
+            // A resize can change how many cards fit in a gallery row
+            if (this.viewMode === 'grid' && this.listRows.length > 0 && this.getListColumns() !== this.listColumns) {
+                this.renderFiles(this.files);
+                return;
+            }
+
+            this.updateVirtualList();
+        });
+    }
+
+    /**
+     * Get each row's distance from the top of the list, plus the total height at the end
+     */
+    getRowOffsets() {
+        if (!this.rowOffsets) {
+            const offsets = [0];
+
+            this.listRows.forEach((row, index) => {
+                const height = this.rowHeights.get(row.key) ??
+                    this.kindHeights.get(row.kind) ??
+                    ROW_HEIGHT_ESTIMATES[row.kind] + this.listGap;
+                offsets.push(offsets[index] + height);
+            });
+
+            this.rowOffsets = offsets;
+        }
+
+        return this.rowOffsets;
+    }
+
+    /**
+     * Find the row at a distance from the top of the list
+     */
+    findRowAt(offsets, position) {
+        let low = 0;
+        let high = this.listRows.length - 1;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+
+            if (offsets[middle] <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Render the rows near the viewport, with spacers standing in for the rest
+     *
+     * Elements are reused by key, so rows that did not change keep their DOM, scroll
+     * position and focus. The first visible row's sticky headers and the list's tab stop
+     * are always rendered.
+     */
+    updateVirtualList() {
+        const { filesList } = this.elements;
+
+        if (!filesList) return;
+
+        const rows = this.listRows;
+        const offsets = this.getRowOffsets();
+        const listTop = filesList.getBoundingClientRect().top;
+        const viewTop = -listTop - LIST_OVERSCAN_PX;
+        const viewBottom = window.innerHeight - listTop + LIST_OVERSCAN_PX;
+        const indices = new Set();
+
+        if (rows.length > 0) {
+            const first = this.findRowAt(offsets, Math.max(0, viewTop));
+
+            for (let index = first; index < rows.length && (index === first || offsets[index] < viewBottom); index++) {
+                indices.add(index);
+            }
+
+            rows[first].parents.forEach(index => indices.add(index));
+
+            const active = this.getActiveItem();
+            if (active) indices.add(active.rowIndex);
+        }
+
+        const nodes = [];
+        const rendered = [];
+        let next = 0;
+        let spacerCount = 0;
+        const addSpacer = (from, to) => {
+            if (to <= from) return;
+
+            if (!this.listSpacers[spacerCount]) {
+                const spacer = document.createElement('li');
+                spacer.className = 'list-spacer';
+                spacer.setAttribute('role', 'presentation');
+                spacer.setAttribute('aria-hidden', 'true');
+                this.listSpacers[spacerCount] = spacer;
+            }
+
+            const spacer = this.listSpacers[spacerCount++];
+            spacer.style.height = `${Math.max(0, offsets[to] - offsets[from] - this.listGap)}px`;
+            nodes.push(spacer);
+        };
+
+        [...indices].sort((a, b) => a - b).forEach(index => {
+            const elements = this.getRowElements(rows[index]);
+
+            addSpacer(next, index);
+            nodes.push(...elements);
+            rendered.push({ row: rows[index], elements });
+            next = index + 1;
+        });
+        addSpacer(next, rows.length);
+
+        // Remember focus in case its row had to be rebuilt
+        const focused = filesList.contains(document.activeElement) ? document.activeElement : null;
+        const focusedKey = focused?.closest('[data-key]')?.dataset.key;
+
+        const wanted = new Set(nodes);
+        Array.from(filesList.children).forEach(child => {
+            if (!wanted.has(child)) child.remove();
+        });
+
+        let cursor = filesList.firstElementChild;
+        nodes.forEach(node => {
+            if (node === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                filesList.insertBefore(node, cursor);
+            }
+        });
+
+        if (focused && !focused.isConnected && focusedKey) {
+            const row = this.rowElements.get(focusedKey)?.element;
+            const target = (focused.classList[0] && row?.getElementsByClassName(focused.classList[0])[0]) ||
+                row?.querySelector('a, button, input');
+            target?.focus({ preventScroll: true });
+        }
+
+        this.measureRows(rendered);
+    }
+
+    /**
+     * Record the heights of rendered rows, and lay out again if the estimates were off
+     */
+    measureRows(rendered) {
+        let changed = false;
+
+        rendered.forEach(({ row, elements }) => {
+            const height = Math.max(...elements.map(element => element.offsetHeight));
+
+            // Rows in a hidden list measure zero; keep the estimate for those
+            if (height <= 0) return;
+
+            const total = height + this.listGap;
+
+            if (Math.abs((this.rowHeights.get(row.key) ?? -1) - total) > 0.5) {
+                this.rowHeights.set(row.key, total);
+                this.kindHeights.set(row.kind, total);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.rowOffsets = null;
+            this.scheduleListUpdate();
+        }
+    }
+
+    /**
+     * Get the elements for a row, reusing those whose content has not changed
+     */
+    getRowElements(row) {
+        if (row.items) {
+            return row.items.map(item => {
+                const { file } = item;
+                const element = this.getCachedElement(item.key, () => [
+                    file.sha, item.label, item.nested, this.viewMode, this.currentLanguage, this.getFileUrl(file),
+                    this.getFileMeta(file), this.getChangeBadge(file), this.isSelectable(file), this.selection.has(file.path),
+                    file.type === 'file' && this.offlineMedia.has(this.getOfflineUrl(file))
+                ].join('\n'), () => {
+                    const listItem = this.createFileItem(file, { label: item.label });
+                    listItem.classList.toggle('file-item-nested', item.nested);
+                    listItem.classList.toggle('is-selected', this.selection.has(file.path));
+                    return listItem;
+                });
+
+                element.dataset.itemIndex = item.index;
+                element.setAttribute('aria-posinset', item.index + 1);
+                element.setAttribute('aria-setsize', this.listItems.length);
+                this.setRovingTabIndex(element, item === this.getActiveItem());
+
+                return element;
+            });
+        }
+
+        if (row.kind === 'group') {
+            const { label, folder, files: groupFiles } = row.group;
+
+            return [this.getCachedElement(row.key, () => [label, folder, groupFiles.length].join('\n'), () => this.createGroupHeader(row.group))];
+        }
+
+        const { month, day } = row;
+        const signature = () => row.kind === 'month'
+            ? [month.label, month.count].join('\n')
+            : [day.label, ...day.files.map(file => `${file.path}:${file.sha}`)].join('\n');
+
+        return [this.getCachedElement(row.key, signature, () => {
+            if (row.kind === 'month') {
+                const header = this.createTimelineHeader('timeline-month-header', month.label, month.count);
+                header.id = `timeline-${month.key}`;
+                return header;
+            }
+
+            return this.createTimelineHeader('timeline-day-header', day.label, day.files.length, day);
+        })];
+    }
+
+    /**
+     * Get a cached element, building it again when its signature changed
+     *
+     * Signatures are only compared once per render, not on every scroll.
+     */
+    getCachedElement(key, getSignature, create) {
+        let entry = this.rowElements.get(key);
+
+        if (entry && entry.version === this.listVersion) return entry.element;
+
+        const signature = getSignature();
+
+        if (!entry || entry.signature !== signature) {
+            entry = { element: create(), signature };
+            entry.element.dataset.key = key;
+            this.rowElements.set(key, entry);
+        }
+
+        entry.version = this.listVersion;
+
+        return entry.element;
+    }
+
+    /**
+     * Get the item that holds the list's tab stop: the last focused one, else the first
+     */
+    getActiveItem() {
+        return this.listItemsByKey.get(this.activeItemKey) || this.listItems[0] || null;
+    }
+
+    /**
+     * Move the list's tab stop to an item
+     */
+    setActiveItem(item) {
+        const previous = this.getActiveItem();
+        this.activeItemKey = item.key;
+
+        [previous, item].forEach(entry => {
+            const element = entry && this.rowElements.get(entry.key)?.element;
+            if (element) this.setRovingTabIndex(element, entry === item);
+        });
+    }
+
+    /**
+     * Only the active item's controls are reachable with Tab; arrow keys reach the rest
+     */
+    setRovingTabIndex(element, active) {
+        element.querySelectorAll('a, button, input').forEach(control => {
+            control.tabIndex = active ? 0 : -1;
+        });
+    }
+
+    /**
+     * Focus an item, scrolling its row into the rendered range first
+     */
+    focusItem(item) {
+        this.setActiveItem(item);
+
+        if (!this.rowElements.get(item.key)?.element.isConnected) {
+            this.scrollToRow(item.rowIndex);
+        }
+
+        this.updateVirtualList();
+        this.rowElements.get(item.key)?.element.querySelector('.file-link')?.focus();
+    }
+
+    /**
+     * Scroll the page so a row sits mid-viewport, or just below the site header
+     */
+    scrollToRow(rowIndex, { block = 'center', behavior = 'auto' } = {}) {
+        const { filesList, siteHeader } = this.elements;
+
+        if (!filesList) return;
+
+        const offset = this.getRowOffsets()[rowIndex] || 0;
+        const listTop = filesList.getBoundingClientRect().top + window.scrollY;
+        const top = block === 'start'
+            ? listTop + offset - (siteHeader ? siteHeader.offsetHeight : 0)
+            : listTop + offset - window.innerHeight / 2;
+
+        window.scrollTo({ top: Math.max(0, top), behavior });
+    }
+
+    /**
+     * Keyboard navigation: arrow keys move between items, by row and, in the gallery,
+     * along a row; Home and End jump to either end; typing a name jumps to it.
+     * Enter opens the item through its link, including from its checkbox.
+     */
+    handleListKeydown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const element = event.target.closest('[data-item-index]');
+        const item = element ? this.listItems[Number(element.dataset.itemIndex)] : null;
+
+        if (!item) return;
+
+        const grid = this.viewMode === 'grid';
+        const step = this.isRtl() ? -1 : 1;
+        let target = null;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            target = this.getItemInNextRow(item, event.key === 'ArrowDown' ? 1 : -1);
+        } else if (grid && (event.key === 'ArrowRight' || event.key === 'ArrowLeft')) {
+            target = this.listItems[item.index + (event.key === 'ArrowRight' ? step : -step)];
+        } else if (event.key === 'Home') {
+            target = this.listItems[0];
+        } else if (event.key === 'End') {
+            target = this.listItems[this.listItems.length - 1];
+        } else if (event.key === 'Enter') {
+            if (event.target.classList.contains('file-select')) {
+                event.preventDefault();
+                element.querySelector('.file-link')?.click();
+            }
+            return;
+        } else if (event.key.length === 1 && event.key.trim()) {
+            target = this.findTypeAheadItem(item, event.key);
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+
+        if (target && target !== item) {
+            this.focusItem(target);
+        }
+    }
+
+    /**
+     * Get the item in the same column of the next row with items, in either direction
+     */
+    getItemInNextRow(item, direction) {
+        for (let index = item.rowIndex + direction; index >= 0 && index < this.listRows.length; index += direction) {
+            const row = this.listRows[index];
+
+            if (row.items) {
+                return row.items[Math.min(item.column, row.items.length - 1)];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the next item whose name starts with the typed text
+     *
+     * Repeating one letter cycles through the names that start with it.
+     */
+    findTypeAheadItem(item, key) {
+        const { typeAhead } = this;
+        const locale = this.currentLanguage;
+
+        window.clearTimeout(typeAhead.timer);
+        typeAhead.timer = window.setTimeout(() => {
+            typeAhead.text = '';
+        }, TYPE_AHEAD_RESET_MS);
+        typeAhead.text += key.toLocaleLowerCase(locale);
+
+        const repeated = [...typeAhead.text].every(char => char === typeAhead.text[0]);
+        const search = repeated ? typeAhead.text[0] : typeAhead.text;
+        const start = repeated ? item.index + 1 : item.index;
+        const count = this.listItems.length;
+
+        for (let offset = 0; offset < count; offset++) {
+            const candidate = this.listItems[(start + offset) % count];
+
+            if (candidate.file.name.toLocaleLowerCase(locale).startsWith(search)) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Announce the number of listed items to screen readers
+     */
+    renderListStatus(shown, total) {
+        const { listStatus } = this.elements;
+
+        if (!listStatus) return;
+
+        const text = this.hasActiveFilters()
+            ? this.translate('filter_summary', { shown, total })
+            : this.translate('list_count', { count: total });
+
+        // Re-renders that leave the count alone should not be announced again
+        if (listStatus.textContent !== text) {
+            listStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Narrow the dataset to what the current folder and layout should show
+     */
+    getScopedFiles(files) {
+        if (this.layout === 'folders') {
+            return files.filter(file => this.getParentPath(file.path || file.name) === this.currentPath);
+        }
+
+        const prefix = this.currentPath ? `${this.currentPath}/` : '';
+        return files.filter(file => file.type === 'file' && file.path.startsWith(prefix));
+    }
+
+    /**
+     * Show how many entries survive the active filters
+     */
+    renderFilterSummary(shown, total) {
+        const { filterSummary } = this.elements;
+
+        if (!filterSummary) return;
+
+        filterSummary.textContent = this.hasActiveFilters()
+            ? this.translate('filter_summary', { shown, total })
+            : '';
+    }
+
+    /**
+     * Get a file's path relative to the current folder
+     */
+    getRelativePath(path) {
+        return this.currentPath ? path.slice(this.currentPath.length + 1) : path;
+    }
+
+    /**
+     * Sort files: directories first, then by the active sort keys, then by name
+     */
+    sortFiles(files) {
+        const { key, then } = this.sort;
+        const direction = this.sort.direction === 'desc' ? -1 : 1;
+
+        return [...files].sort((a, b) => {
+            if (a.type !== b.type) {
+                return a.type === 'dir' ? -1 : 1;
+            }
+
+            return this.compareFiles(a, b, key, direction) ||
+                (then ? this.compareFiles(a, b, then, direction) : 0) ||
+                a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Compare two files by a sort key
+     */
+    compareFiles(a, b, key, direction = 1) {
+        if (key === 'size') {
+            return direction * ((a.size || 0) - (b.size || 0));
+        }
+
+        if (key === 'type') {
+            return direction * (
+                this.getFileCategory(a).localeCompare(this.getFileCategory(b)) ||
+                this.getFileExtension(a).localeCompare(this.getFileExtension(b))
+            );
+        }
+
+        if (key === 'captured') {
+            const timeA = this.getFileMetadata(a)?.capturedAt?.getTime();
+            const timeB = this.getFileMetadata(b)?.capturedAt?.getTime();
+
+            // Files without a capture date always sink to the end
+            if (timeA === undefined || timeB === undefined) {
+                return (timeA === undefined) - (timeB === undefined);
+            }
+            return direction * (timeA - timeB);
+        }
+
+        // The flat layout shows full paths, so order by what is displayed
+        const nameA = this.layout === 'flat' ? a.path || a.name : a.name;
+        const nameB = this.layout === 'flat' ? b.path || b.name : b.name;
+
+        return direction * nameA.localeCompare(nameB);
+    }
+
+    /**
+     * Split already sorted files into ordered groups
+     */
+    groupFiles(files, groupBy) {
+        const groups = new Map();
+
+        files.forEach(file => {
+            const descriptor = this.getGroupDescriptor(file, groupBy);
+            if (!groups.has(descriptor.key)) {
+                groups.set(descriptor.key, { ...descriptor, files: [] });
+            }
+            groups.get(descriptor.key).files.push(file);
+        });
+
+        return Array.from(groups.values()).sort((a, b) => {
+            if (a.order !== b.order) {
+                return b.order - a.order;
+            }
+            return a.key.localeCompare(b.key);
+        });
+    }
+
+    /**
+     * Describe the group a file belongs to; groups sort by descending order, then by key
+     */
+    getGroupDescriptor(file, groupBy) {
+        if (groupBy === 'world') {
+            const world = this.getPngMetadata(file)?.xmp;
+
+            if (!world || !world.worldName) {
+                return { key: '', label: this.translate('group_unknown_world'), order: -1 };
+            }
+
+            return { key: this.getWorldKey(file), label: world.worldName, order: 0 };
+        }
+
+        if (groupBy === 'resolution') {
+            const metadata = this.getFileMetadata(file);
+
+            if (!metadata || !metadata.width) {
+                return { key: '', label: this.translate('group_other'), order: -1 };
+            }
+
+            return {
+                key: `${metadata.width}x${metadata.height}`,
+                label: `${metadata.width}×${metadata.height} · ${this.translate(`orientation_${metadata.orientation}`)}`,
+                order: metadata.width * metadata.height
+            };
+        }
+
+        const folder = this.getParentPath(file.path);
+        return { key: folder, label: `/${folder}`, folder, order: 0 };
+    }
+
+    /**
+     * Create the header row above a group of files
+     */
+    createGroupHeader({ label, folder, files: groupFiles }) {
+        const header = document.createElement('li');
+        header.className = 'file-group-header';
+        header.setAttribute('role', 'presentation');
+
+        // Folder groups link to the folder they describe
+        const title = document.createElement(folder === undefined ? 'span' : 'a');
+        title.className = 'file-group-title';
+        title.textContent = label;
+
+        if (folder !== undefined) {
+            title.href = this.getDirectoryUrl(folder);
+            this.bindFolderLink(title, folder);
+        }
+
+        const count = document.createElement('span');
+        count.className = 'file-group-count';
+        count.textContent = groupFiles.length;
+
+        header.appendChild(title);
+        header.appendChild(count);
+
+        return header;
+    }
+
+    /**
+     * Group files by capture month and day
+     *
+     * Months and days run newest first, while files within a day stay in shooting order
+     * so a night's captures read as they happened, whatever their filename prefix.
+     * Files without a capture date are collected in a trailing undated group.
+     */
+    groupTimeline(files) {
+        const months = new Map();
+        const undated = [];
+
+        files.forEach(file => {
+            const capturedAt = this.getFileMetadata(file)?.capturedAt;
+
+            if (!capturedAt) {
+                undated.push(file);
+                return;
+            }
+
+            const { monthKey, dayKey } = this.getTimelineKeys(capturedAt);
+
+            if (!months.has(monthKey)) {
+                months.set(monthKey, { key: monthKey, date: capturedAt, days: new Map() });
+            }
+
+            const days = months.get(monthKey).days;
+            if (!days.has(dayKey)) {
+                days.set(dayKey, { key: dayKey, date: capturedAt, files: [] });
+            }
+            days.get(dayKey).files.push(file);
+        });
+
+        const byTime = (a, b) => this.getFileMetadata(a).capturedAt - this.getFileMetadata(b).capturedAt;
+        const timeline = Array.from(months.values())
+            .sort((a, b) => b.key.localeCompare(a.key))
+            .map(month => ({
+                key: month.key,
+                label: this.formatTimelineDate(month.date, { month: 'long', year: 'numeric' }),
+                days: Array.from(month.days.values())
+                    .sort((a, b) => b.key.localeCompare(a.key))
+                    .map(day => ({
+                        key: day.key,
+                        label: this.formatTimelineDate(day.date, { day: 'numeric', month: 'short' }),
+                        files: day.files.sort(byTime)
+                    }))
+            }));
+
+        if (undated.length > 0) {
+            const label = this.translate('timeline_undated');
+            timeline.push({ key: 'undated', label, days: [{ key: 'undated-all', label, files: undated }] });
+        }
+
+        timeline.forEach(month => {
+            month.count = month.days.reduce((total, day) => total + day.files.length, 0);
+        });
+
+        return timeline;
+    }
+
+    /**
+     * Get the month and day keys a capture date files under
+     */
+    getTimelineKeys(capturedAt) {
+        const monthKey = `${capturedAt.getFullYear()}-${String(capturedAt.getMonth() + 1).padStart(2, '0')}`;
+        const dayKey = `${monthKey}-${String(capturedAt.getDate()).padStart(2, '0')}`;
+
+        return { monthKey, dayKey };
+    }
+
+    /**
+     * Total up file sizes overall, by type category and by capture month
+     */
+    getStorageStats(files) {
+        const stats = { total: 0, count: files.length, types: new Map(), months: new Map(), largest: [] };
+        const add = (map, key, file) => {
+            const entry = map.get(key) || { bytes: 0, count: 0 };
+            entry.bytes += file.size || 0;
+            entry.count++;
+            map.set(key, entry);
+        };
+
+        files.forEach(file => {
+            const metadata = this.getFileMetadata(file);
+
+            stats.total += file.size || 0;
+            add(stats.types, this.getFileCategory(file), file);
+            add(stats.months, metadata && metadata.capturedAt ? this.getTimelineKeys(metadata.capturedAt).monthKey : '', file);
+        });
+
+        stats.largest = [...files]
+            .sort((a, b) => (b.size || 0) - (a.size || 0))
+            .slice(0, STORAGE_LARGEST_ROWS);
+
+        return stats;
+    }
+
+    /**
+     * Get the warning level for a share of the size limit: null, 'warning' or 'danger'
+     */
+    getStorageLevel(ratio) {
+        const crossed = this.storageWarnings.filter(threshold => ratio >= threshold).length;
+
+        if (crossed === 0) return null;
+
+        return crossed === this.storageWarnings.length ? 'danger' : 'warning';
+    }
+
+    /**
+     * Render the storage card for a new listing
+     *
+     * In contents mode the listing only holds the current folder, so the card says so.
+     * The size limit applies to the published site, so on the Pages branch only files
+     * under the published folder count, and other refs get no limit meter at all.
+     */
+    renderStorageStats(files) {
+        const {
+            storageCard, storageTotal, storageMeter, storageLimitText, storageWarning,
+            storageTypes, storageMonths, storageLargest
+        } = this.elements;
+
+        if (!storageCard) return;
+
+        const published = this.isServedByPages();
+        const blobs = files.filter(file => file.type === 'file'
+            && (!published || this.getPagesSitePath(file.path || file.name) !== null));
+
+        storageCard.hidden = blobs.length === 0;
+
+        if (blobs.length === 0) return;
+
+        const stats = this.getStorageStats(blobs);
+        const ratio = stats.total / this.storageLimit;
+        const level = this.getStorageLevel(ratio);
+        const setText = (element, key, vars) => {
+            if (!element) return;
+            element.setAttribute('data-i18n', key);
+            element.setAttribute('data-i18n-vars', JSON.stringify(vars));
+            element.textContent = this.translate(key, vars);
+        };
+        const limitVars = {
+            percent: this.formatNumber(ratio, { style: 'percent', maximumFractionDigits: 1 }),
+            limit: this.formatFileSize(this.storageLimit)
+        };
+
+        setText(storageTotal, this.listingMode === 'tree' ? 'storage_total' : 'storage_total_folder', {
+            size: this.formatFileSize(stats.total),
+            count: stats.count
+        });
+        setText(storageLimitText, 'storage_limit', limitVars);
+
+        if (storageLimitText) {
+            storageLimitText.hidden = !published;
+        }
+
+        if (storageMeter) {
+            storageMeter.hidden = !published;
+            storageMeter.value = Math.min(ratio, 1);
+            storageMeter.low = this.storageWarnings[0] || 1;
+            storageMeter.high = this.storageWarnings[this.storageWarnings.length - 1] || 1;
+        }
+
+        if (storageWarning) {
+            storageWarning.hidden = !published || !level;
+            storageWarning.classList.toggle('storage-warning-danger', level === 'danger');
+            setText(storageWarning, ratio >= 1 ? 'storage_limit_exceeded' : 'storage_limit_warning', limitVars);
+        }
+
+        const types = [...stats.types.entries()]
+            .sort((a, b) => b[1].bytes - a[1].bytes)
+            .map(([category, entry]) => ({ label: this.translate(`type_${category}`), ...entry }));
+
+        this.renderStorageRows(storageTypes, types, stats.total);
+
+        // Newest months first; undated files and months past the cut-off get a row each
+        const dated = [...stats.months.entries()]
+            .filter(([key]) => key)
+            .sort((a, b) => b[0].localeCompare(a[0]));
+        const months = dated.slice(0, STORAGE_MONTH_ROWS).map(([key, entry]) => {
+            const [year, month] = key.split('-').map(Number);
+            return { label: this.formatTimelineDate(new Date(year, month - 1, 1), { month: 'long', year: 'numeric' }), ...entry };
+        });
+        const older = dated.slice(STORAGE_MONTH_ROWS).reduce((sum, [, entry]) => ({
+            bytes: sum.bytes + entry.bytes,
+            count: sum.count + entry.count
+        }), { bytes: 0, count: 0 });
+
+        if (older.count > 0) {
+            months.push({ label: this.translate('storage_older'), ...older });
+        }
+        if (stats.months.has('')) {
+            months.push({ label: this.translate('timeline_undated'), ...stats.months.get('') });
+        }
+
+        this.renderStorageRows(storageMonths, months, stats.total);
+
+        if (storageLargest) {
+            storageLargest.replaceChildren(...stats.largest.map(file => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = this.getFileUrl(file);
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.title = file.path;
+                link.textContent = file.name;
+
+                if (this.isPreviewableFile(file)) {
+                    link.addEventListener('click', (event) => {
+                        if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+                            return;
+                        }
+
+                        event.preventDefault();
+                        this.openLightbox(file);
+                    });
+                }
+
+                const size = document.createElement('span');
+                size.className = 'storage-value';
+                size.textContent = this.formatFileSize(file.size || 0);
+
+                item.append(link, size);
+                return item;
+            }));
+        }
+    }
+
+    /**
+     * Render breakdown rows with a bar showing each row's share of the total
+     */
+    renderStorageRows(list, rows, total) {
+        if (!list) return;
+
+        list.replaceChildren(...rows.map(row => {
+            const item = document.createElement('li');
+            item.className = 'storage-row';
+
+            const label = document.createElement('span');
+            label.className = 'storage-label';
+            label.textContent = row.label;
+
+            const value = document.createElement('span');
+            value.className = 'storage-value';
+            value.textContent = `${this.formatFileSize(row.bytes)} · ${this.formatNumber(row.count)}`;
+
+            const bar = document.createElement('span');
+            bar.className = 'storage-bar';
+            bar.setAttribute('aria-hidden', 'true');
+            bar.style.setProperty('--share', String(total > 0 ? row.bytes / total : 0));
+
+            item.append(label, value, bar);
+            return item;
+        }));
+    }
+
+    /**
+     * Format a timeline header date for the current language
+     */
+    formatTimelineDate(date, options) {
+        try {
+            return new Intl.DateTimeFormat(this.currentLanguage, options).format(date);
+        } catch (error) {
+            return date.toDateString();
+        }
+    }
+
+    /**
+     * Create a sticky timeline header row with a count, and a ZIP button for a day
+     */
+    createTimelineHeader(className, label, count, day = null) {
+        const header = document.createElement('li');
+        header.className = className;
+        header.setAttribute('role', 'presentation');
+
+        const title = document.createElement('span');
+        title.className = 'timeline-header-title';
+        title.textContent = label;
+
+        const badge = document.createElement('span');
+        badge.className = 'file-group-count';
+        badge.textContent = count;
+
+        header.appendChild(title);
+        header.appendChild(badge);
+
+        if (day) {
+            const zipButton = document.createElement('button');
+            zipButton.type = 'button';
+            zipButton.className = 'toolbar-button timeline-zip';
+            zipButton.textContent = '⤓';
+            zipButton.setAttribute('data-i18n-aria-label', 'zip_day');
+            zipButton.setAttribute('aria-label', this.translate('zip_day'));
+            zipButton.addEventListener('click', () => this.openZipDialog(day.files, day.key));
+            header.appendChild(zipButton);
+        }
+
+        return header;
+    }
+
+    /**
+     * Render the jump-to-month index; an empty timeline hides it
+     */
+    renderTimelineIndex(timeline) {
+        const { timelineIndex } = this.elements;
+
+        if (!timelineIndex) return;
+
+        timelineIndex.innerHTML = '';
+        timelineIndex.hidden = timeline.length === 0;
+
+        if (timeline.length === 0) return;
+
+        const label = document.createElement('span');
+        label.className = 'timeline-index-label';
+        label.textContent = this.translate('timeline_jump');
+        timelineIndex.appendChild(label);
+
+        timeline.forEach(month => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'timeline-index-button';
+            button.textContent = `${month.label} (${month.count})`;
+            button.addEventListener('click', () => {
+                // The month's header may not be rendered yet, so scroll to where its row sits
+                const index = this.listRows.findIndex(row => row.key === `month:${month.key}`);
+
+                if (index !== -1) {
+                    this.scrollToRow(index, { block: 'start', behavior: 'smooth' });
+                }
+            });
+            timelineIndex.appendChild(button);
+        });
+    }
+
+    /**
+     * Build the ".." entry pointing at the parent folder
+     */
+    getParentEntry() {
+        const path = this.getParentPath(this.currentPath);
+
+        return {
+            name: '..',
+            path,
+            type: 'parent',
+            html_url: this.getDirectoryUrl(path)
+        };
+    }
+
+    /**
+     * Create a file list item
+     */
+    createFileItem(file, options = {}) {
+        const listItem = document.createElement('li');
+        listItem.className = 'file-item';
+
+        const link = document.createElement('a');
+        link.className = 'file-link';
+        link.href = this.getFileUrl(file);
+
+        if (file.type === 'dir' || file.type === 'parent') {
+            this.bindFolderLink(link, file.path);
+        } else {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+
+        if (this.isPreviewableFile(file)) {
+            link.addEventListener('click', (event) => {
+                if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+                    return;
+                }
+
+                event.preventDefault();
+                this.openLightbox(file);
+            });
+        }
+
+        if (this.isSelectable(file)) {
+            listItem.appendChild(this.createSelectCheckbox(file));
+        }
+
+        const icon = this.createFileIcon(file);
+        const name = document.createElement('span');
+        name.className = 'file-name';
+        name.textContent = (options.label || this.getFileLabel(file)) + (file.type === 'dir' ? '/' : '');
+
+        if (this.viewMode === 'grid') {
+            listItem.classList.add('file-card');
+            link.appendChild(this.isImageFile(file) || this.getFileCategory(file) === 'video'
+                ? this.createThumbnail(file)
+                : icon);
+        } else {
+            link.appendChild(icon);
+        }
+
+        link.appendChild(name);
+
+        const changeBadge = this.getChangeBadge(file);
+
+        if (changeBadge) {
+            const badge = document.createElement('span');
+            badge.className = `file-change-badge ${changeBadge}`;
+            badge.textContent = this.translate(changeBadge);
+            link.appendChild(badge);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'file-meta';
+        meta.textContent = this.getFileMeta(file);
+
+        if (file.type === 'file' && this.offlineMedia.has(this.getOfflineUrl(file))) {
+            const badge = document.createElement('span');
+            badge.className = 'file-offline-badge';
+            badge.textContent = this.translate('offline_available');
+            meta.appendChild(badge);
+        }
+
+        listItem.appendChild(link);
+        listItem.appendChild(meta);
+
+        if (this.isOfflineSupported() && file.type !== 'parent' && this.getOfflineTargets(file).length > 0) {
+            listItem.appendChild(this.createOfflineToggle(file));
+        }
+
+        return listItem;
+    }
+
+    /**
+     * Create a lazily loaded thumbnail for the gallery view
+     */
+    createThumbnail(file) {
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'file-thumb';
+
+        if (this.getFileCategory(file) === 'video') {
+            thumbnail.classList.add('file-thumb-video');
+            thumbnail.appendChild(this.createVideoThumbnail(file));
+            return thumbnail;
+        }
+
+        const image = document.createElement('img');
+        const metadata = this.getFileMetadata(file);
+
+        image.alt = '';
+        image.loading = 'lazy';
+        image.decoding = 'async';
+        image.addEventListener('error', () => {
+            thumbnail.classList.add('file-thumb-failed');
+        });
+
+        // Known dimensions let the browser lay the card out before the image arrives
+        if (metadata && metadata.width && metadata.height) {
+            image.width = metadata.width;
+            image.height = metadata.height;
+        }
+
+        // Full-size screenshots are several megabytes each; the lightbox still gets the original
+        if (this.canDownscaleThumbnail(file)) {
+            this.whenNearViewport(image, async () => {
+                image.src = (await this.loadThumbnail(file)) || this.getFileUrl(file);
+            });
+        } else {
+            image.src = this.getFileUrl(file);
+        }
+
+        thumbnail.appendChild(image);
+
+        return thumbnail;
+    }
+
+    /**
+     * Check whether a gallery image is worth downscaling, and can be
+     */
+    canDownscaleThumbnail(file) {
+        // Vector and animated images lose what makes them what they are
+        return (file.size || 0) > THUMBNAIL_MIN_BYTES
+            && !/\.(svg|gif)$/i.test(file.name)
+            && typeof window.createImageBitmap === 'function';
+    }
+
+    /**
+     * Get the object URL of a downscaled copy of an image, or null if it cannot be made
+     */
+    loadThumbnail(file) {
+        if (!this.thumbnails.has(file.sha)) {
+            this.thumbnails.set(file.sha, this.createThumbnailUrl(file));
+        }
+
+        return this.thumbnails.get(file.sha);
+    }
+
+    /**
+     * Download an image, draw it at thumbnail width and keep the result as a Blob
+     */
+    async createThumbnailUrl(file) {
+        while (this.thumbnailsActive >= THUMBNAIL_CONCURRENCY) {
+            await new Promise(resolve => this.thumbnailWaiters.push(resolve));
+        }
+
+        this.thumbnailsActive++;
+
+        try {
+            const response = await fetch(this.getFileUrl(file));
+
+            if (!response.ok) {
+                throw new GitHubApiError(`HTTP ${response.status} for ${file.path}`, { status: response.status });
+            }
+
+            const bitmap = await createImageBitmap(await response.blob());
+
+            try {
+                const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+                const canvas = document.createElement('canvas');
+
+                canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+                canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+                canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+                // Browsers without WebP encoding fall back to PNG
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.85));
+
+                return blob ? URL.createObjectURL(blob) : null;
+            } finally {
+                bitmap.close?.();
+            }
+        } catch (error) {
+            console.warn(`Could not make a thumbnail of ${file.path}:`, error);
+            return null;
+        } finally {
+            this.thumbnailsActive--;
+            this.thumbnailWaiters.shift()?.();
+        }
+    }
+
+    /**
+     * Run a callback once an element comes near the viewport, or at once without IntersectionObserver
+     */
+    whenNearViewport(element, callback) {
+        if (!('IntersectionObserver' in window)) {
+            callback();
+            return;
+        }
+
+        if (!this.thumbnailObserver) {
+            this.thumbnailCallbacks = new WeakMap();
+            this.thumbnailObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+
+                    this.thumbnailObserver.unobserve(entry.target);
+                    this.thumbnailCallbacks.get(entry.target)?.();
+                    this.thumbnailCallbacks.delete(entry.target);
+                });
+            }, { rootMargin: '200px' });
+        }
+
+        this.thumbnailCallbacks.set(element, callback);
+        this.thumbnailObserver.observe(element);
+    }
+
+    /**
+     * Create a video element that shows an early frame once scrolled into view
+     */
+    createVideoThumbnail(file) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'none';
+        video.setAttribute('aria-hidden', 'true');
+
+        // Videos have no native lazy loading; only fetch metadata when the card is near the viewport
+        const source = this.getMediaUrl(file);
+
+        this.whenNearViewport(video, () => {
+            video.preload = 'metadata';
+            video.src = source;
+        });
+
+        return video;
+    }
+
+    /**
+     * Get a media URL that starts a moment in, so browsers paint a poster frame
+     */
+    getMediaUrl(file) {
+        return `${this.getFileUrl(file)}#t=0.1`;
+    }
+
+    /**
+     * Check whether a file opens in the lightbox
+     */
+    isPreviewableFile(file) {
+        return file.type === 'file' && ['image', 'video', 'audio'].includes(this.getFileCategory(file));
+    }
+
+    /**
+     * Check whether a file can be shown as an image
+     */
+    isImageFile(file) {
+        if (file.type !== 'file') return false;
+
+        return this.getFileCategory(file) === 'image';
+    }
+
+    /**
+     * Open the lightbox on a file, with the other displayed media files as neighbours
+     */
+    openLightbox(file, { updateRoute = true } = {}) {
+        const { lightbox } = this.elements;
+
+        if (!lightbox) {
+            window.open(this.getFileUrl(file), '_blank');
+            return;
+        }
+
+        this.lightboxItems = this.displayedFiles.filter(item => this.isPreviewableFile(item));
+        let index = this.lightboxItems.findIndex(item => item.path === file.path);
+
+        // A routed file hidden by the filters is shown on its own
+        if (index === -1) {
+            this.lightboxItems = [file];
+            index = 0;
+        }
+
+        if (updateRoute) {
+            this.setRoute({ view: file.path }, { state: { lightbox: true } });
+        }
+
+        if (!lightbox.open) {
+            lightbox.showModal();
+        }
+
+        this.showLightboxItem(index);
+    }
+
+    /**
+     * Show the file at the given lightbox position
+     */
+    showLightboxItem(index) {
+        const { lightboxImage, lightboxVideo, lightboxAudio, lightboxCaption, lightboxCounter, lightboxOriginal, lightboxPrev, lightboxNext } = this.elements;
+        const total = this.lightboxItems.length;
+
+        if (total === 0 || index < 0 || index >= total) return;
+
+        const file = this.lightboxItems[index];
+        const url = this.getFileUrl(file);
+        const category = this.getFileCategory(file);
+        const changed = this.lightboxIndex !== index || this.lightboxFile !== file;
+
+        this.lightboxIndex = index;
+        this.lightboxFile = file;
+
+        // Stepping through files keeps a single history entry for the lightbox
+        this.setRoute({ view: file.path }, { replace: true });
+        this.renderLightboxMetadata(file);
+
+        // Re-showing the same item (e.g. after a language change) must not restart playback
+        if (changed) {
+            this.resetLightboxMedia();
+
+            if (category === 'image' && lightboxImage) {
+                lightboxImage.hidden = false;
+                lightboxImage.src = url;
+                lightboxImage.alt = file.name;
+            } else if (category === 'video' && lightboxVideo) {
+                lightboxVideo.hidden = false;
+                lightboxVideo.src = this.getMediaUrl(file);
+            } else if (category === 'audio' && lightboxAudio) {
+                lightboxAudio.hidden = false;
+                lightboxAudio.src = url;
+            }
+        }
+        if (lightboxCaption) {
+            lightboxCaption.textContent = file.path || file.name;
+        }
+        if (lightboxCounter) {
+            lightboxCounter.textContent = this.translate('lightbox_counter', { index: index + 1, total });
+        }
+        if (lightboxOriginal) {
+            lightboxOriginal.href = url;
+        }
+        if (lightboxPrev) {
+            lightboxPrev.disabled = index === 0;
+        }
+        if (lightboxNext) {
+            lightboxNext.disabled = index === total - 1;
+        }
+
+        // Warm the cache so stepping forward feels instant
+        if (index + 1 < total && this.isImageFile(this.lightboxItems[index + 1])) {
+            this.preloadImage(this.getFileUrl(this.lightboxItems[index + 1]));
+        }
+    }
+
+    /**
+     * Stop any playing media and clear the lightbox stage
+     */
+    resetLightboxMedia() {
+        const { lightboxImage, lightboxVideo, lightboxAudio, lightboxDetails } = this.elements;
+
+        if (lightboxImage) {
+            lightboxImage.hidden = true;
+            lightboxImage.removeAttribute('src');
+        }
+
+        [lightboxVideo, lightboxAudio].forEach(player => {
+            if (!player) return;
+
+            player.pause();
+            player.hidden = true;
+            player.removeAttribute('src');
+            // Loading the emptied element aborts the pending download
+            player.load();
+        });
+
+        if (lightboxDetails) {
+            lightboxDetails.textContent = '';
+        }
+
+        if (this.lightboxIndex === -1) {
+            this.lightboxFile = null;
+        }
+    }
+
+    /**
+     * Show duration and resolution once a player has loaded metadata
+     */
+    renderMediaDetails(player) {
+        const { lightboxDetails } = this.elements;
+
+        if (!lightboxDetails) return;
+
+        const parts = [];
+
+        if (Number.isFinite(player.duration)) {
+            parts.push(this.formatDuration(player.duration));
+        }
+        if (player.videoWidth && player.videoHeight) {
+            parts.push(`${player.videoWidth}×${player.videoHeight}`);
+        }
+
+        lightboxDetails.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Format seconds as m:ss or h:mm:ss
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+
+    /**
+     * Close the lightbox
+     */
+    closeLightbox() {
+        const { lightbox } = this.elements;
+
+        if (lightbox && lightbox.open) {
+            lightbox.close();
+        }
+    }
+
+    /**
+     * Start downloading an image ahead of time
+     */
+    preloadImage(url) {
+        const image = new Image();
+        image.decoding = 'async';
+        image.src = url;
+    }
+
+    /**
+     * Get the name shown for a file in the current layout
+     */
+    getFileLabel(file) {
+        if (this.layout === 'flat' && file.path) {
+            return this.getRelativePath(file.path);
+        }
+
+        return file.name;
+    }
+
+    /**
+     * Create file icon based on type
+     */
+    createFileIcon(file) {
+        const icon = document.createElement('div');
+        icon.className = 'file-icon';
+
+        if (file.type === 'dir') {
+            icon.innerHTML = 'DIR';
+            icon.setAttribute('aria-label', 'Directory');
+        } else if (file.type === 'parent') {
+            icon.innerHTML = 'UP';
+            icon.setAttribute('aria-label', 'Parent folder');
+        } else {
+            icon.innerHTML = this.getFileIconByExtension(this.getFileExtension(file));
+            icon.setAttribute('aria-label', 'File');
+        }
+
+        return icon;
+    }
+
+    /**
+     * Get file icon by extension
+     */
+    getFileIconByExtension(extension) {
+        const category = Object.keys(FILE_TYPES).find(type => FILE_TYPES[type][extension]);
+
+        return category ? FILE_TYPES[category][extension] : 'FILE';
+    }
+
+    /**
+     * Get a file's lowercase extension (the whole name when it has no dot)
+     */
+    getFileExtension(file) {
+        return file.name.split('.').pop()?.toLowerCase() || '';
+    }
+
+    /**
+     * Get the type category of a file, or 'other' for unknown extensions
+     */
+    getFileCategory(file) {
+        const extension = this.getFileExtension(file);
+        return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type][extension]) || 'other';
+    }
+
+    /**
+     * List the type categories offered by the type filter
+     */
+    getFileCategories() {
+        return [...Object.keys(FILE_TYPES), 'other'];
+    }
+
+    /**
+     * Get file URL for GitHub Pages
+     *
+     * Files Pages does not publish (another ref, outside the source folder, or no
+     * Pages at all) link to raw.githubusercontent.com instead.
      */
     getFileUrl(file) {
+        if (file.type === 'dir' || file.type === 'parent') {
+            return file.html_url || this.getDirectoryUrl(file.path);
+        }
+
+        return this.getPagesUrl(file) || this.getRawUrl(file.path || file.name);
+    }
+
+    /**
+     * Get the GitHub Pages URL of a file, or null when Pages does not publish it
+     */
+    getPagesUrl(file) {
+        const sitePath = this.isServedByPages() ? this.getPagesSitePath(file.path || file.name) : null;
+
+        if (sitePath === null) return null;
+
+        try {
+            const [owner, repoName] = this.config.repo.split('/');
+            const isUserPage = repoName.toLowerCase() === `${owner.toLowerCase()}.github.io`;
+            const filePath = this.encodePath(sitePath);
+
+            if (isUserPage) {
+                return `https://${owner}.github.io/${filePath}`;
+            } else {
+                return `https://${owner}.github.io/${encodeURIComponent(repoName)}/${filePath}`;
+            }
+        } catch (error) {
+            console.warn('Failed to generate Pages URL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the github.com URL of a folder
+     */
+    getDirectoryUrl(path) {
+        const [owner, repoName] = this.config.repo.split('/');
+        const base = `https://github.com/${encodeURIComponent(owner)}/${encodeURIComponent(repoName)}`;
+
+        if (!path && !this.ref) return base;
+
+        return `${base}/tree/${this.encodePath(this.ref || 'HEAD')}${path ? `/${this.encodePath(path)}` : ''}`;
+    }
+
+    /**
+     * Get file metadata string
+     */
+    getFileMeta(file) {
         if (file.type === 'dir') {
-            return file.html_url;
+            return 'Directory';
+        }
+
+        if (file.type === 'parent') {
+            return this.translate('parent_folder');
+        }
+
+        const metadata = this.getFileMetadata(file);
+        const embedded = this.getPngMetadata(file);
+        const parts = [];
+
+        if (metadata) {
+            if (metadata.capturedAt) {
+                parts.push(this.formatCaptureDate(metadata.capturedAt));
+            }
+            if (metadata.width && metadata.height) {
+                parts.push(`${metadata.width}×${metadata.height}`);
+                parts.push(this.translate(`orientation_${metadata.orientation}`));
+            }
+        }
+
+        if (embedded) {
+            if ((!metadata || !metadata.width) && embedded.width) {
+                parts.push(`${embedded.width}×${embedded.height}`);
+            }
+            if (embedded.xmp && embedded.xmp.worldName) {
+                parts.push(embedded.xmp.worldName);
+            }
+        }
+
+        if (file.size) {
+            parts.push(this.formatFileSize(file.size));
+        }
+
+        return parts.length > 0 ? parts.join(' · ') : 'File';
+    }
+
+    /**
+     * Get metadata parsed from a file's name, or null when the name is not recognised
+     */
+    getFileMetadata(file) {
+        if (!file || file.type !== 'file') return null;
+
+        if (!this.metadataCache.has(file.name)) {
+            this.metadataCache.set(file.name, this.metadataParser.parse(file.name));
+        }
+
+        return this.metadataCache.get(file.name);
+    }
+
+    /**
+     * Get the metadata already read from a PNG, or null when it is unknown or unreadable
+     */
+    getPngMetadata(file) {
+        return file && file.sha ? this.pngMetadata.get(file.sha) || null : null;
+    }
+
+    /**
+     * Whether a file is a PNG whose chunks can be read
+     */
+    isPngFile(file) {
+        return file.type === 'file' && Boolean(file.sha) && this.getFileExtension(file) === 'png';
+    }
+
+    /**
+     * Get the key a file is filtered and grouped by world with: the world ID, else its name
+     */
+    getWorldKey(file) {
+        const world = this.getPngMetadata(file)?.xmp;
+
+        if (!world) return null;
+
+        return world.worldId || world.worldName || null;
+    }
+
+    /**
+     * Read embedded metadata for a PNG once per blob SHA
+     *
+     * Results are kept in memory for the session and in the state cache across
+     * visits. Failures are only remembered for the session.
+     */
+    loadPngMetadata(file) {
+        if (!this.isPngFile(file)) return Promise.resolve(null);
+        if (this.pngMetadata.has(file.sha)) return Promise.resolve(this.pngMetadata.get(file.sha));
+
+        if (!this.pngMetadataPending.has(file.sha)) {
+            const pending = this.readPngMetadata(file)
+                .catch(error => {
+                    console.warn(`Failed to read PNG metadata for ${file.path}:`, error);
+                    return null;
+                })
+                .then(metadata => {
+                    this.pngMetadata.set(file.sha, metadata);
+                    this.pngMetadataPending.delete(file.sha);
+                    return metadata;
+                });
+
+            this.pngMetadataPending.set(file.sha, pending);
+        }
+
+        return this.pngMetadataPending.get(file.sha);
+    }
+
+    /**
+     * Fetch and parse a PNG's chunks, preferring byte ranges over the whole file
+     *
+     * Most writers put text chunks before the image data, so the leading bytes are
+     * usually enough. Text written after the image data is found in the trailing
+     * bytes instead.
+     */
+    async readPngMetadata(file) {
+        const stored = await this.readState(`png/${file.sha}`);
+
+        if (stored) return stored;
+
+        const url = this.getFileUrl(file);
+        let head = await this.fetchByteRange(url, 0, PNG_RANGE_BYTES - 1);
+        let { chunks, needed } = PngMetadataReader.readChunks(head);
+
+        // A text chunk ran past the first range; fetch up to its end
+        if (needed) {
+            head = await this.fetchByteRange(url, 0, needed - 1);
+            ({ chunks } = PngMetadataReader.readChunks(head));
+        }
+
+        const hasText = chunks.some(chunk => PngMetadataReader.TEXT_TYPES.includes(chunk.type));
+        const reachedEnd = chunks.some(chunk => chunk.type === 'IEND');
+
+        if (!hasText && !reachedEnd && file.size > head.length) {
+            const start = Math.max(head.length, file.size - PNG_RANGE_BYTES);
+            const tail = await this.fetchByteRange(url, start, file.size - 1);
+            chunks = chunks.concat(PngMetadataReader.scanChunks(tail));
+        }
+
+        const metadata = await PngMetadataReader.describe(chunks);
+
+        await this.writeState(`png/${file.sha}`, metadata);
+
+        return metadata;
+    }
+
+    /**
+     * Fetch bytes start..end of a file, coping with servers that ignore Range
+     */
+    async fetchByteRange(url, start, end) {
+        const response = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+
+        if (!response.ok) {
+            throw new GitHubApiError(`HTTP ${response.status} for ${url}`, { status: response.status });
+        }
+
+        if (response.status === 206) {
+            return new Uint8Array(await response.arrayBuffer());
+        }
+
+        // A 200 carries the whole file; stop reading once the range is covered
+        const parts = [];
+        let length = 0;
+
+        for await (const chunk of this.readResponseChunks(response, () => {})) {
+            parts.push(chunk);
+            length += chunk.length;
+            if (length > end) break;
+        }
+
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+
+        parts.forEach(part => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+
+        return bytes.subarray(start, end + 1);
+    }
+
+    /**
+     * Read metadata for many PNGs a few at a time, then re-render once
+     */
+    async ensurePngMetadata(files) {
+        if (this.pngMetadataLoading) return;
+
+        const queue = files.filter(file => this.isPngFile(file) && !this.pngMetadata.has(file.sha));
+
+        if (queue.length === 0) return;
+
+        this.pngMetadataLoading = true;
+        this.renderWorldOptions();
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                await this.loadPngMetadata(queue.shift());
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(4, queue.length) }, worker));
+
+        this.pngMetadataLoading = false;
+        this.renderWorldOptions();
+        this.renderFiles(this.files);
+    }
+
+    /**
+     * Offer every world seen in the current folder in the world filter
+     */
+    renderWorldOptions() {
+        const { filterWorld } = this.elements;
+
+        if (!filterWorld) return;
+
+        const worlds = new Map();
+
+        this.getScopedFiles(this.files).forEach(file => {
+            const world = this.getPngMetadata(file)?.xmp;
+            const key = this.getWorldKey(file);
+
+            if (key && !worlds.has(key)) {
+                worlds.set(key, world.worldName || key);
+            }
+        });
+
+        // Keep a world from the URL selectable before its screenshots are read
+        if (this.filters.world && !worlds.has(this.filters.world)) {
+            worlds.set(this.filters.world, this.filters.world);
+        }
+
+        const allOption = document.createElement('option');
+        const allKey = this.pngMetadataLoading ? 'world_loading' : 'world_all';
+        allOption.value = '';
+        allOption.setAttribute('data-i18n', allKey);
+        allOption.textContent = this.translate(allKey);
+
+        const options = [...worlds.entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([key, name]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = name;
+                return option;
+            });
+
+        filterWorld.replaceChildren(allOption, ...options);
+        filterWorld.value = this.filters.world || '';
+        filterWorld.setAttribute('aria-busy', String(this.pngMetadataLoading));
+    }
+
+    /**
+     * Show the embedded metadata of the lightbox file once it has been read
+     */
+    async renderLightboxMetadata(file) {
+        const { lightboxMetadata } = this.elements;
+
+        if (!lightboxMetadata) return;
+
+        lightboxMetadata.replaceChildren();
+        lightboxMetadata.hidden = true;
+
+        if (!this.isPngFile(file)) return;
+
+        const metadata = await this.loadPngMetadata(file);
+
+        // The user may have moved on while the file was read
+        if (!metadata || this.lightboxFile !== file || this.lightboxIndex === -1) return;
+
+        const rows = [];
+        const addRow = (label, value, href = null) => {
+            if (!value) return;
+
+            const term = document.createElement('dt');
+            term.textContent = label;
+
+            const detail = document.createElement('dd');
+
+            if (href) {
+                const link = document.createElement('a');
+                link.href = href;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = value;
+                detail.appendChild(link);
+            } else {
+                detail.textContent = value;
+            }
+
+            rows.push(term, detail);
+        };
+        const xmp = metadata.xmp || {};
+
+        addRow(this.translate('meta_dimensions'), metadata.width ? `${metadata.width}×${metadata.height}` : null);
+        addRow(this.translate('meta_world'), xmp.worldName || xmp.worldId,
+            xmp.worldId ? `https://vrchat.com/home/world/${encodeURIComponent(xmp.worldId)}` : null);
+        addRow(this.translate('meta_author'), xmp.author || xmp.authorId,
+            xmp.authorId ? `https://vrchat.com/home/user/${encodeURIComponent(xmp.authorId)}` : null);
+        addRow(this.translate('meta_created'), xmp.createdAt);
+        addRow(this.translate('meta_software'), xmp.creatorTool);
+        Object.entries(metadata.fields).forEach(([keyword, value]) => addRow(keyword, value));
+
+        if (xmp.worldName || xmp.worldId) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toolbar-button';
+            button.textContent = this.translate('meta_world_filter');
+            button.addEventListener('click', () => {
+                this.filters.world = xmp.worldId || xmp.worldName;
+                this.closeLightbox();
+                this.applyFilterChange();
+            });
+
+            const detail = document.createElement('dd');
+            detail.appendChild(button);
+            rows.push(detail);
+        }
+
+        lightboxMetadata.replaceChildren(...rows);
+        lightboxMetadata.hidden = rows.length === 0;
+    }
+
+    /**
+     * Format a capture date for the current language
+     */
+    formatCaptureDate(date) {
+        try {
+            return new Intl.DateTimeFormat(this.currentLanguage, {
+                dateStyle: 'medium',
+                timeStyle: 'short'
+            }).format(date);
+        } catch (error) {
+            return date.toLocaleString();
+        }
+    }
+
+    /**
+     * Format file size in human readable format
+     *
+     * Sizes are binary multiples, which Intl has no units for, so only bytes use a
+     * localized unit and larger sizes get the IEC symbols (KiB, MiB, ...).
+     */
+    formatFileSize(bytes) {
+        const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+        const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+        const value = bytes / Math.pow(1024, i);
+
+        if (i > 0) {
+            return `${this.formatNumber(value, { maximumFractionDigits: 1 })} ${units[i]}`;
+        }
+
+        try {
+            // Short byte units are singular in some locales ("1,000 byte")
+            return this.getNumberFormat({ style: 'unit', unit: 'byte', unitDisplay: 'long' }).format(value);
+        } catch (error) {
+            return `${value} ${units[0]}`;
+        }
+    }
+
+    /**
+     * Action handlers
+     */
+    handleUploadAction() {
+        const { uploadDialog } = this.elements;
+
+        if (!uploadDialog) {
+            if (this.config.hostedUrl) {
+                window.open(this.config.hostedUrl, '_blank');
+            }
+            return;
+        }
+
+        if (!this.isBranchBrowsed()) return;
+
+        this.renderUploadDialog();
+        uploadDialog.showModal();
+    }
+
+    /**
+     * Setup the upload dialog: drop zone, file picker and upload button
+     */
+    setupUploader() {
+        const { uploadDialog, uploadClose, uploadDropzone, uploadInput, uploadStart, uploadExternal } = this.elements;
+
+        if (!uploadDialog) return;
+
+        uploadClose?.addEventListener('click', () => uploadDialog.close());
+
+        // Keep the dialog open while files are in flight
+        uploadDialog.addEventListener('cancel', (event) => {
+            if (this.uploading) {
+                event.preventDefault();
+            }
+        });
+
+        uploadDialog.addEventListener('close', () => {
+            if (!this.uploading) {
+                this.uploadQueue = [];
+            }
+        });
+
+        uploadInput?.addEventListener('change', () => {
+            this.addUploadFiles(uploadInput.files);
+            uploadInput.value = '';
+        });
+
+        if (uploadDropzone) {
+            uploadDropzone.addEventListener('click', () => uploadInput?.click());
+            uploadDropzone.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    uploadInput?.click();
+                }
+            });
+
+            ['dragenter', 'dragover'].forEach(type => {
+                uploadDropzone.addEventListener(type, (event) => {
+                    event.preventDefault();
+                    uploadDropzone.classList.add('is-dragging');
+                });
+            });
+
+            ['dragleave', 'drop'].forEach(type => {
+                uploadDropzone.addEventListener(type, () => {
+                    uploadDropzone.classList.remove('is-dragging');
+                });
+            });
+
+            uploadDropzone.addEventListener('drop', (event) => {
+                event.preventDefault();
+                this.addUploadFiles(event.dataTransfer ? event.dataTransfer.files : []);
+            });
+        }
+
+        uploadStart?.addEventListener('click', () => this.startUpload());
+
+        if (uploadExternal && this.config.hostedUrl) {
+            uploadExternal.href = this.config.hostedUrl;
+            uploadExternal.hidden = false;
+        }
+    }
+
+    /**
+     * Queue picked or dropped files, rejecting those over the size limit
+     */
+    addUploadFiles(fileList) {
+        const { uploadWarning } = this.elements;
+        const files = Array.from(fileList || []);
+        const tooLarge = files.filter(file => file.size > this.uploadSizeLimit);
+
+        // Replace finished entries rather than letting the list grow across batches; while an
+        // upload runs they stay listed so its results are still shown
+        if (!this.uploading) {
+            this.uploadQueue = this.uploadQueue.filter(item => item.status === 'pending');
+        }
+
+        files
+            .filter(file => file.size <= this.uploadSizeLimit)
+            .forEach(file => {
+                const path = this.currentPath ? `${this.currentPath}/${file.name}` : file.name;
+
+                this.uploadQueue = this.uploadQueue.filter(item => item.path !== path || item.status !== 'pending');
+                this.uploadQueue.push({ file, path, status: 'pending', progress: 0, error: null });
+            });
+
+        if (uploadWarning) {
+            uploadWarning.textContent = tooLarge.length > 0
+                ? this.translate('file_too_large_warning', {
+                    limit: this.formatFileSize(this.uploadSizeLimit),
+                    files: tooLarge.map(file => file.name).join(', ')
+                })
+                : '';
+        }
+
+        this.renderUploadDialog();
+    }
+
+    /**
+     * Render the destination, token notice and per-file progress
+     */
+    renderUploadDialog() {
+        const { uploadTarget, uploadNotice, uploadList, uploadStart } = this.elements;
+        const hasToken = Boolean(this.getToken());
+
+        if (uploadTarget) {
+            uploadTarget.textContent = this.translate('upload_target', { folder: `/${this.currentPath}` });
+        }
+
+        if (uploadNotice) {
+            uploadNotice.textContent = hasToken ? '' : this.translate('upload_token_required');
+        }
+
+        if (uploadList) {
+            uploadList.innerHTML = '';
+            this.uploadQueue.forEach(item => {
+                item.row = this.createUploadRow(item);
+                uploadList.appendChild(item.row);
+            });
+        }
+
+        if (uploadStart) {
+            const pending = this.uploadQueue.filter(item => item.status === 'pending').length;
+
+            uploadStart.textContent = this.translate('upload_start', { count: pending });
+            uploadStart.disabled = this.uploading || !hasToken || !this.isBranchBrowsed() || pending === 0;
+        }
+    }
+
+    /**
+     * Create the list row for a queued file
+     */
+    createUploadRow(item) {
+        const row = document.createElement('li');
+        row.className = `upload-item upload-${item.status}`;
+
+        const name = document.createElement('span');
+        name.className = 'upload-name';
+        name.textContent = item.path;
+
+        const progress = document.createElement('progress');
+        progress.className = 'upload-progress';
+        progress.max = 100;
+        progress.value = item.progress;
+
+        const status = document.createElement('span');
+        status.className = 'upload-status';
+        status.textContent = this.getUploadStatusLabel(item);
+
+        row.append(name, progress, status);
+
+        return row;
+    }
+
+    /**
+     * Refresh one row without rebuilding the list
+     */
+    updateUploadRow(item) {
+        if (!item.row) return;
+
+        item.row.className = `upload-item upload-${item.status}`;
+        item.row.querySelector('.upload-progress').value = item.progress;
+        item.row.querySelector('.upload-status').textContent = this.getUploadStatusLabel(item);
+    }
+
+    /**
+     * Get the status text for a queued file
+     */
+    getUploadStatusLabel(item) {
+        const keys = {
+            pending: 'upload_status_pending',
+            uploading: 'upload_status_uploading',
+            done: 'upload_success',
+            failed: 'upload_failed',
+            skipped: 'upload_status_skipped'
+        };
+
+        return item.error || this.translate(keys[item.status]);
+    }
+
+    /**
+     * Upload the queued files one at a time
+     *
+     * Every Contents API write is its own commit, so parallel uploads would race each
+     * other for the branch head. Files added while it runs are picked up in turn.
+     */
+    async startUpload() {
+        const nextPending = () => this.uploadQueue.find(item => item.status === 'pending');
+
+        if (this.uploading || !nextPending() || !this.getToken() || !this.isBranchBrowsed()) return;
+
+        this.uploading = true;
+        this.renderUploadDialog();
+
+        let uploaded = 0;
+        let item;
+
+        while ((item = nextPending())) {
+            try {
+                const sha = await this.getExistingFileSha(item.path);
+
+                if (sha && !window.confirm(this.translate('upload_overwrite_confirm', { file: item.path }))) {
+                    item.status = 'skipped';
+                    this.updateUploadRow(item);
+                    this.logActivity('write', { action: 'upload', path: item.path, result: 'skipped' });
+                    continue;
+                }
+
+                item.status = 'uploading';
+                this.updateUploadRow(item);
+
+                await this.uploadFile(item, sha);
+
+                item.status = 'done';
+                item.progress = 100;
+                uploaded++;
+                this.logActivity('write', { action: 'upload', path: item.path, replaced: Boolean(sha), result: 'done' });
+            } catch (error) {
+                console.error('Upload failed:', error);
+                item.status = 'failed';
+                item.error = `${this.translate('upload_failed')}: ${error.message}`;
+                this.logActivity('write', { action: 'upload', path: item.path, result: 'failed', status: error.status || null, error: error.message });
+            }
+
+            this.updateUploadRow(item);
+        }
+
+        this.uploading = false;
+        this.renderUploadDialog();
+
+        if (uploaded > 0) {
+            this.loadFiles(this.currentPath, { background: true });
+        }
+    }
+
+    /**
+     * Setup the bulk action bar
+     */
+    setupSelection() {
+        const {
+            selectionDelete, selectionRename, selectionMove, selectionClear,
+            selectionDialog, selectionDialogForm, selectionDialogInput, selectionDialogCancel, selectionDialogClose
+        } = this.elements;
+
+        selectionDelete?.addEventListener('click', () => this.deleteSelection());
+        selectionRename?.addEventListener('click', () => this.renameSelection());
+        selectionMove?.addEventListener('click', () => this.moveSelection());
+        selectionClear?.addEventListener('click', () => {
+            this.selection.clear();
+            this.selectionMessage = null;
+            this.renderFiles(this.files);
+            this.renderSelectionBar();
+        });
+
+        if (!selectionDialog) return;
+
+        selectionDialogClose?.addEventListener('click', () => selectionDialog.close());
+        selectionDialogCancel?.addEventListener('click', () => selectionDialog.close());
+        selectionDialogForm?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.settleSelectionDialog(selectionDialogInput && !selectionDialogInput.hidden ? selectionDialogInput.value.trim() : '');
+        });
+        // Escape, the close button and Cancel all dismiss the question
+        selectionDialog.addEventListener('close', () => this.settleSelectionDialog(null));
+    }
+
+    /**
+     * Ask about a bulk action in the selection dialog
+     *
+     * Resolves with the entered text ('' when there is no input) once confirmed, or
+     * null when dismissed. A null value leaves the input out.
+     */
+    askSelection({ title, text, value = null, confirm }) {
+        const {
+            selectionDialog, selectionDialogTitle, selectionDialogText, selectionDialogInput, selectionDialogConfirm
+        } = this.elements;
+
+        if (!selectionDialog || this.selectionDialogResolve) return Promise.resolve(null);
+
+        if (selectionDialogTitle) selectionDialogTitle.textContent = title;
+        if (selectionDialogText) selectionDialogText.textContent = text;
+        if (selectionDialogConfirm) selectionDialogConfirm.textContent = confirm;
+
+        if (selectionDialogInput) {
+            selectionDialogInput.hidden = value === null;
+            selectionDialogInput.value = value || '';
+            selectionDialogInput.setAttribute('aria-label', text);
+        }
+
+        return new Promise(resolve => {
+            this.selectionDialogResolve = resolve;
+            selectionDialog.showModal();
+
+            if (value !== null) {
+                selectionDialogInput?.select();
+            }
+        });
+    }
+
+    /**
+     * Answer the open selection dialog and close it
+     */
+    settleSelectionDialog(answer) {
+        const resolve = this.selectionDialogResolve;
+
+        if (!resolve) return;
+
+        this.selectionDialogResolve = null;
+
+        if (this.elements.selectionDialog.open) {
+            this.elements.selectionDialog.close();
+        }
+
+        resolve(answer);
+    }
+
+    /**
+     * Check whether an entry can be ticked for bulk actions
+     *
+     * Conflict detection compares against the loaded tree, so bulk actions need the
+     * Git Trees listing, and commits can only go to a branch.
+     */
+    isSelectable(file) {
+        return Boolean(this.treeListing) && this.isBranchBrowsed() && (file.type === 'file' || file.type === 'dir');
+    }
+
+    /**
+     * Create the selection checkbox for a row
+     */
+    createSelectCheckbox(file) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'file-select';
+        checkbox.checked = this.selection.has(file.path);
+        checkbox.setAttribute('aria-label', this.translate('select_item', { file: file.path }));
+
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.selection.add(file.path);
+            } else {
+                this.selection.delete(file.path);
+            }
+
+            checkbox.closest('.file-item')?.classList.toggle('is-selected', checkbox.checked);
+            this.selectionMessage = null;
+            this.renderSelectionBar();
+        });
+
+        return checkbox;
+    }
+
+    /**
+     * Forget selected paths that no longer exist
+     */
+    pruneSelection() {
+        if (!this.treeListing) {
+            this.selection.clear();
+        } else {
+            const paths = new Set(this.treeListing.entries.map(entry => entry.path));
+            this.selection.forEach(path => {
+                if (!paths.has(path)) {
+                    this.selection.delete(path);
+                }
+            });
+        }
+
+        this.renderSelectionBar();
+    }
+
+    /**
+     * Report the progress or outcome of a bulk action in the selection bar
+     */
+    setSelectionMessage(key, vars = {}) {
+        this.selectionMessage = key ? { key, vars } : null;
+        this.renderSelectionBar();
+    }
+
+    /**
+     * Show the bulk action bar while something is selected or being reported on
+     */
+    renderSelectionBar() {
+        const { selectionBar, selectionCount, selectionStatus, selectionRename } = this.elements;
+        const message = this.selectionMessage;
+
+        if (!selectionBar) return;
+
+        if (selectionStatus) {
+            selectionStatus.textContent = message ? this.translate(message.key, message.vars) : '';
+        }
+
+        selectionBar.hidden = this.selection.size === 0 && !message;
+
+        if (selectionCount) {
+            selectionCount.textContent = this.selection.size > 0
+                ? this.translate('selection_count', { count: this.selection.size })
+                : '';
+        }
+
+        selectionBar.querySelectorAll('button').forEach(button => {
+            button.disabled = this.committing || this.selection.size === 0;
+        });
+
+        if (selectionRename) {
+            selectionRename.disabled = this.committing || this.selection.size !== 1;
+        }
+
+        // Clearing also dismisses a finished action's message
+        if (this.elements.selectionClear) {
+            this.elements.selectionClear.disabled = this.committing;
+        }
+    }
+
+    /**
+     * Get the blobs a selected path stands for: the file itself or everything in the folder
+     */
+    getSelectedBlobs(path) {
+        const entries = this.treeListing ? this.treeListing.entries : [];
+        const prefix = `${path}/`;
+
+        return entries.filter(entry => entry.type === 'file' && (entry.path === path || entry.path.startsWith(prefix)));
+    }
+
+    /**
+     * Check the token and listing needed for a write, telling the user if one is missing
+     */
+    canWrite() {
+        if (!this.getToken()) {
+            this.setSelectionMessage('write_token_required');
+            return false;
+        }
+
+        return Boolean(this.treeListing) && this.isBranchBrowsed() && !this.committing;
+    }
+
+    /**
+     * Delete the selected files and folders in one commit
+     */
+    async deleteSelection() {
+        if (!this.canWrite()) return;
+
+        const paths = [...this.selection];
+        const blobs = paths.flatMap(path => this.getSelectedBlobs(path));
+
+        if (blobs.length === 0) return;
+
+        const answer = await this.askSelection({
+            title: this.translate('delete'),
+            text: this.translate('confirm_delete', { count: blobs.length, files: paths.join(', ') }),
+            confirm: this.translate('delete')
+        });
+
+        if (answer === null) return;
+
+        await this.commitChanges(
+            blobs.map(blob => ({ path: blob.path, mode: blob.mode || '100644', type: 'blob', sha: null })),
+            paths.length === 1 ? `Delete ${paths[0]}` : `Delete ${blobs.length} files`
+        );
+    }
+
+    /**
+     * Rename the single selected file or folder in place
+     */
+    async renameSelection() {
+        if (!this.canWrite() || this.selection.size !== 1) return;
+
+        const [path] = this.selection;
+        const currentName = path.split('/').pop();
+        const newName = await this.askSelection({
+            title: this.translate('rename'),
+            text: this.translate('rename_prompt', { file: path }),
+            value: currentName,
+            confirm: this.translate('rename')
+        });
+
+        if (!newName || newName === currentName) return;
+
+        if (newName.includes('/')) {
+            this.setSelectionMessage('invalid_name', { name: newName });
+            return;
+        }
+
+        const parent = this.getParentPath(path);
+        const target = parent ? `${parent}/${newName}` : newName;
+
+        await this.commitMoves([path], () => target, `Rename ${path} to ${target}`);
+    }
+
+    /**
+     * Move the selected files and folders into another folder
+     */
+    async moveSelection() {
+        if (!this.canWrite()) return;
+
+        const paths = [...this.selection];
+        const answer = await this.askSelection({
+            title: this.translate('move'),
+            text: this.translate('move_prompt', { count: paths.length }),
+            value: this.currentPath,
+            confirm: this.translate('move')
+        });
+
+        if (answer === null) return;
+
+        const folder = answer.split('/').filter(Boolean).join('/');
+
+        // Moving a folder into itself would nest it endlessly
+        if (paths.some(path => folder === path || folder.startsWith(`${path}/`))) {
+            this.setSelectionMessage('invalid_name', { name: folder || '/' });
+            return;
+        }
+
+        await this.commitMoves(
+            paths,
+            path => (folder ? `${folder}/${path.split('/').pop()}` : path.split('/').pop()),
+            `Move ${paths.length === 1 ? paths[0] : `${paths.length} items`} to /${folder}`
+        );
+    }
+
+    /**
+     * Move paths to new locations by re-pointing their existing blobs
+     *
+     * No blobs need uploading: each file keeps its SHA and only its tree entry moves.
+     */
+    async commitMoves(paths, getTarget, message) {
+        // Moving a submodule also means rewriting .gitmodules, which this does not do
+        const submodules = this.treeListing.submodules.filter(submodule =>
+            paths.some(path => submodule === path || submodule.startsWith(`${path}/`))
+        );
+
+        if (submodules.length > 0) {
+            this.setSelectionMessage('move_submodules', { files: submodules.join(', ') });
+            return;
+        }
+
+        const changes = [];
+        const existing = new Set(this.treeListing.entries.map(entry => entry.path));
+        const vacated = new Set();
+
+        paths.forEach(path => {
+            const target = getTarget(path);
+
+            if (target === path) return;
+
+            this.getSelectedBlobs(path).forEach(blob => {
+                const newPath = target + blob.path.slice(path.length);
+
+                changes.push({ path: newPath, mode: blob.mode || '100644', type: 'blob', sha: blob.sha });
+                changes.push({ path: blob.path, mode: blob.mode || '100644', type: 'blob', sha: null });
+                vacated.add(blob.path);
+            });
+        });
+
+        const targets = changes.filter(change => change.sha !== null).map(change => change.path);
+        const clashes = targets.filter(target => existing.has(target) && !vacated.has(target));
+
+        if (clashes.length > 0) {
+            this.setSelectionMessage('target_exists', { files: clashes.join(', ') });
+            return;
+        }
+
+        // A path that is both vacated and re-used must only keep its new blob
+        const filtered = changes.filter(change => change.sha !== null || !targets.includes(change.path));
+
+        if (filtered.length === 0) return;
+
+        await this.commitChanges(filtered, message);
+    }
+
+    /**
+     * Apply tree changes to the browsed branch as a single commit
+     *
+     * Uses the Git Data API: read the branch head, build a tree on top of it, create
+     * the commit and fast-forward the ref. If the branch moved since the listing was
+     * loaded the change is refused, so nobody else's commit is silently overwritten.
+     */
+    async commitChanges(tree, message) {
+        const { ref, sha: listedTreeSha } = this.treeListing;
+        const repoPath = `/repos/${this.config.repo}/git`;
+
+        this.committing = true;
+        this.setSelectionMessage('commit_in_progress');
+
+        try {
+            const head = await this.fetchJson(`${repoPath}/ref/heads/${this.encodePath(ref)}`);
+            const parent = await this.fetchJson(`${repoPath}/commits/${head.object.sha}`);
+
+            if (parent.tree.sha !== listedTreeSha) {
+                throw new GitHubApiError('Branch changed since the listing was loaded', { status: 409, code: 'conflict' });
+            }
+
+            const newTree = await this.sendJson('POST', `${repoPath}/trees`, {
+                base_tree: parent.tree.sha,
+                tree
+            });
+            const commit = await this.sendJson('POST', `${repoPath}/commits`, {
+                message,
+                tree: newTree.sha,
+                parents: [head.object.sha]
+            });
+
+            // force: false makes GitHub reject anything but a fast-forward
+            try {
+                await this.sendJson('PATCH', `${repoPath}/refs/heads/${this.encodePath(ref)}`, {
+                    sha: commit.sha,
+                    force: false
+                });
+            } catch (error) {
+                // Only here does 422 mean the branch moved on; elsewhere it is a bad request
+                if (error.status === 422) {
+                    throw new GitHubApiError(error.message, { status: 422, code: 'conflict' });
+                }
+                throw error;
+            }
+
+            this.selection.clear();
+            this.committing = false;
+            // A move is an addition plus a deletion; count each file once
+            const files = tree.filter(change => change.sha !== null).length || tree.length;
+            this.setSelectionMessage('commit_done', { count: files });
+            this.logActivity('write', { action: 'commit', ref, message, paths: tree.map(change => change.path), commit: commit.sha, result: 'done' });
+        } catch (error) {
+            console.error('Commit failed:', error);
+
+            const conflict = error.code === 'conflict';
+
+            this.logActivity('write', {
+                action: 'commit',
+                ref,
+                message,
+                paths: tree.map(change => change.path),
+                result: conflict ? 'conflict' : 'failed',
+                status: error.status || null,
+                error: error.message
+            });
+
+            this.committing = false;
+            this.setSelectionMessage(conflict ? 'commit_conflict' : 'commit_failed', { detail: error.message });
+
+            // A failed request left the branch as listed; only a conflict needs a fresh look
+            if (!conflict) return;
+        }
+
+        // The listing should show what is on the branch now
+        await this.loadFiles(this.currentPath, { background: true });
+    }
+
+    /**
+     * Send a write request to the GitHub API
+     */
+    async sendJson(method, endpoint, body) {
+        let response;
+
+        try {
+            response = await fetch(`https://api.github.com${endpoint}`, {
+                method,
+                headers: {
+                    'Accept': 'application/vnd.github.v3+json',
+                    'Authorization': `Bearer ${this.getToken()}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            this.logActivity('api', { method, endpoint, status: null, error: error.message });
+            throw new GitHubApiError(error.message, { code: 'network_error' });
+        }
+
+        this.updateRateLimit(response);
+        this.logActivity('api', { method, endpoint, status: response.status, remaining: this.rateLimit ? this.rateLimit.remaining : null });
+
+        if (!response.ok) {
+            throw await this.createApiError(response);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Get the blob SHA of an existing file, or null when the path is free
+     */
+    async getExistingFileSha(path) {
+        try {
+            const file = await this.fetchJson(`/repos/${this.config.repo}/contents/${this.encodePath(path)}${this.getRefQuery()}`);
+            return Array.isArray(file) ? null : file.sha;
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Get the ?ref= query for the branch being browsed, if it is known
+     */
+    getRefQuery() {
+        const ref = this.treeListing ? this.treeListing.ref : this.ref;
+        return ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    }
+
+    /**
+     * Commit one file through the Contents API, reporting request progress
+     */
+    async uploadFile(item, sha) {
+        const content = await this.readFileAsBase64(item.file);
+        const body = {
+            message: `Upload ${item.path}`,
+            content
+        };
+
+        if (sha) {
+            body.sha = sha;
+        }
+        // Without it the Contents API writes to the default branch, whatever is being browsed
+        body.branch = this.getBrowsedRef();
+
+        const endpoint = `/repos/${this.config.repo}/contents/${this.encodePath(item.path)}`;
+
+        // XHR rather than fetch: only XHR reports upload progress
+        await new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+
+            xhr.open('PUT', `https://api.github.com${endpoint}`);
+            xhr.setRequestHeader('Accept', 'application/vnd.github.v3+json');
+            xhr.setRequestHeader('Authorization', `Bearer ${this.getToken()}`);
+            xhr.setRequestHeader('Content-Type', 'application/json');
+
+            xhr.upload.addEventListener('progress', (event) => {
+                if (!event.lengthComputable) return;
+
+                item.progress = Math.round(event.loaded / event.total * 100);
+                this.updateUploadRow(item);
+            });
+
+            xhr.addEventListener('load', () => {
+                this.logActivity('api', { method: 'PUT', endpoint, status: xhr.status });
+
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve();
+                } else {
+                    reject(new GitHubApiError(`HTTP ${xhr.status}`, { status: xhr.status }));
+                }
+            });
+            xhr.addEventListener('error', () => {
+                this.logActivity('api', { method: 'PUT', endpoint, status: null, error: 'Network error' });
+                reject(new GitHubApiError('Network error', { code: 'network_error' }));
+            });
+
+            xhr.send(JSON.stringify(body));
+        });
+    }
+
+    /**
+     * Read a file as base64 without the data: URL prefix
+     */
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.addEventListener('load', () => {
+                const result = String(reader.result);
+                resolve(result.slice(result.indexOf(',') + 1));
+            });
+            reader.addEventListener('error', () => reject(reader.error));
+
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async handleRefreshAction() {
+        this.retryAttempt = 0;
+
+        // An explicit refresh asks GitHub even when the cached listing is still fresh, and
+        // picks up a changed default branch or Pages source as switchRepository() does
+        this.bypassCache = true;
+        this.repoInfo = null;
+        this.pagesSource = undefined;
+
+        try {
+            await this.loadFiles();
+        } finally {
+            this.bypassCache = false;
+        }
+    }
+
+    handleSettingsAction() {
+        const { settingsDialog } = this.elements;
+
+        if (!settingsDialog) {
+            const settingsUrl = this.getPagesSettingsUrl();
+            if (settingsUrl) {
+                window.open(settingsUrl, '_blank');
+            }
+            return;
+        }
+
+        this.updateSettingsDialog();
+        settingsDialog.showModal();
+    }
+
+    /**
+     * Get the GitHub Pages settings URL for the repository
+     */
+    getPagesSettingsUrl() {
+        if (!this.config.repo) return null;
+
+        try {
+            const [owner, repoName] = this.config.repo.split('/');
+            return `https://github.com/${encodeURIComponent(owner)}/${encodeURIComponent(repoName)}/settings/pages`;
+        } catch (error) {
+            console.error('Failed to build settings URL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Setup the settings dialog
+     */
+    setupSettingsDialog() {
+        const { settingsDialog, settingsClose, tokenInput, tokenSave, tokenClear } = this.elements;
+
+        if (!settingsDialog) return;
+
+        settingsClose?.addEventListener('click', () => settingsDialog.close());
+
+        tokenSave?.addEventListener('click', () => {
+            const token = tokenInput ? tokenInput.value.trim() : '';
+            if (!token) return;
+
+            this.setToken(token);
+            this.updateSettingsDialog('token_saved');
+            this.loadFiles();
+        });
+
+        tokenClear?.addEventListener('click', () => {
+            this.setToken('');
+            this.updateSettingsDialog('token_removed');
+            this.loadFiles();
+        });
+
+        this.elements.clearCache?.addEventListener('click', () => this.clearOfflineCache());
+    }
+
+    /**
+     * Setup the export dialog
+     */
+    setupExportDialog() {
+        const { exportDialog, exportClose, exportJson, exportCsv, exportLog, exportI18n } = this.elements;
+
+        if (!exportDialog) return;
+
+        exportClose?.addEventListener('click', () => exportDialog.close());
+        exportJson?.addEventListener('click', () => this.exportListing('json'));
+        exportCsv?.addEventListener('click', () => this.exportListing('csv'));
+        exportLog?.addEventListener('click', () => this.exportActivityLog());
+        exportI18n?.addEventListener('click', () => this.exportTranslationReport());
+    }
+
+    /**
+     * Open the export dialog with counts for the current listing and session
+     */
+    handleExportAction() {
+        const { exportDialog, exportSummary, exportJson, exportCsv, activitySummary, i18nSummary } = this.elements;
+
+        if (!exportDialog) return;
+
+        const count = this.getExportRows().length;
+        const entries = this.activityLog;
+        const setText = (element, key, vars) => {
+            element.setAttribute('data-i18n', key);
+            element.setAttribute('data-i18n-vars', JSON.stringify(vars));
+            element.textContent = this.translate(key, vars);
+        };
+
+        if (exportSummary) {
+            setText(exportSummary, 'export_summary', { count });
+        }
+        if (activitySummary) {
+            setText(activitySummary, 'activity_summary', {
+                calls: entries.filter(entry => entry.type === 'api').length,
+                errors: entries.filter(entry => entry.type === 'error').length,
+                writes: entries.filter(entry => entry.type === 'write').length
+            });
+        }
+        if (i18nSummary) {
+            const report = this.getTranslationReport();
+            const coverage = report.languages[this.currentLanguage];
+            let language = this.currentLanguage;
+
+            try {
+                language = new Intl.DisplayNames([this.currentLanguage], { type: 'language' }).of(this.currentLanguage);
+            } catch (error) {
+                // Keep the language code
+            }
+
+            setText(i18nSummary, 'i18n_summary', {
+                language,
+                english: coverage ? coverage.english.length : 0,
+                total: report.total
+            });
+        }
+        [exportJson, exportCsv].forEach(button => {
+            if (button) button.disabled = count === 0;
+        });
+
+        exportDialog.showModal();
+    }
+
+    /**
+     * Record an API call, error or write in the session activity log
+     */
+    logActivity(type, details) {
+        this.activityLog.push({ time: new Date().toISOString(), type, ...details });
+
+        if (this.activityLog.length > ACTIVITY_LOG_LIMIT) {
+            this.activityLog.shift();
+        }
+    }
+
+    /**
+     * Describe the shown files and folders, filters applied, as export rows
+     */
+    getExportRows() {
+        return this.displayedFiles
+            .filter(file => file.type === 'file' || file.type === 'dir')
+            .map(file => {
+                const isFile = file.type === 'file';
+                const metadata = this.getFileMetadata(file);
+
+                return {
+                    path: file.path,
+                    type: file.type,
+                    size: isFile ? file.size || 0 : null,
+                    sha: file.sha || null,
+                    pages_url: isFile ? this.getPagesUrl(file) : null,
+                    raw_url: isFile ? this.getRawUrl(file.path) : null,
+                    captured_at: metadata && metadata.capturedAt ? this.formatLocalTimestamp(metadata.capturedAt) : null,
+                    width: metadata ? metadata.width : null,
+                    height: metadata ? metadata.height : null
+                };
+            });
+    }
+
+    /**
+     * Format a date as an ISO 8601 timestamp without a zone
+     *
+     * Capture times come from filenames in the camera's local time, so converting
+     * them to UTC would invent an offset.
+     */
+    formatLocalTimestamp(date) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    }
+
+    /**
+     * Download the current listing as JSON or CSV
+     */
+    exportListing(format) {
+        const rows = this.getExportRows();
+        const name = `${this.getExportBaseName()}-files`;
+
+        if (format === 'csv') {
+            const escape = (value) => {
+                let text = value === null || value === undefined ? '' : String(value);
+
+                // Spreadsheet apps run cells starting like a formula, and paths come from any repository
+                if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                    text = `'${text}`;
+                }
+
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = [EXPORT_COLUMNS, ...rows.map(row => EXPORT_COLUMNS.map(column => row[column]))]
+                .map(values => values.map(escape).join(','));
+
+            // The byte order mark makes spreadsheet apps read the file as UTF-8
+            this.downloadFile(`${name}.csv`, `\ufeff${lines.join('\r\n')}\r\n`, 'text/csv;charset=utf-8');
+            return;
+        }
+
+        const manifest = {
+            repo: this.config.repo,
+            ref: this.getBrowsedRef(),
+            path: this.currentPath,
+            filters: { ...this.filters, sort: this.sort.key, then: this.sort.then, order: this.sort.direction },
+            exportedAt: new Date().toISOString(),
+            files: rows
+        };
+
+        this.downloadFile(`${name}.json`, JSON.stringify(manifest, null, 2), 'application/json');
+    }
+
+    /**
+     * Download the session activity log as JSON
+     */
+    exportActivityLog() {
+        const log = {
+            repo: this.config.repo,
+            ref: this.getBrowsedRef(),
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            authenticated: Boolean(this.getToken()),
+            rateLimit: this.rateLimit,
+            entries: this.activityLog
+        };
+
+        this.downloadFile(`${this.getExportBaseName()}-activity.json`, JSON.stringify(log, null, 2), 'application/json');
+    }
+
+    /**
+     * Describe how completely each language is translated, against the English key set
+     */
+    getTranslationReport() {
+        const { translations } = this.config;
+        const reference = Object.keys(translations.en || {}).sort();
+        const languages = {};
+
+        Object.keys(translations).sort().forEach(code => {
+            const own = translations[code];
+            const chain = this.getLanguageChain(code);
+            const missing = reference.filter(key => !(key in own));
+
+            languages[code] = {
+                fallback: chain,
+                translated: reference.length - missing.length,
+                missing,
+                // Keys a regional language can borrow from its base language are not shown in English
+                english: missing.filter(key => chain.every(source => source === 'en' || !(key in translations[source]))),
+                unknown: Object.keys(own).filter(key => !(key in translations.en)).sort()
+            };
+        });
+
+        const seen = {};
+        this.missingTranslations.forEach((keys, code) => {
+            seen[code] = [...keys].sort();
+        });
+
+        return { total: reference.length, languages, fallbacksUsed: seen };
+    }
+
+    /**
+     * Download the missing-translation report for maintainers
+     */
+    exportTranslationReport() {
+        const report = { generatedAt: new Date().toISOString(), ...this.getTranslationReport() };
+
+        this.downloadFile(`${this.getExportBaseName()}-translations.json`, JSON.stringify(report, null, 2), 'application/json');
+    }
+
+    /**
+     * Get a filename-safe prefix naming the browsed repository and ref
+     */
+    getExportBaseName() {
+        return `${this.config.repo}-${this.getBrowsedRef()}`.replace(/[^A-Za-z0-9._-]+/g, '_');
+    }
+
+    /**
+     * Setup the ZIP download dialog and the buttons that open it
+     */
+    setupZipDialog() {
+        const { zipDialog, zipClose, zipStart, zipCancel, selectionZip, downloadZip } = this.elements;
+
+        if (!zipDialog) return;
+
+        zipClose?.addEventListener('click', () => zipDialog.close());
+        zipStart?.addEventListener('click', () => this.startZipDownload());
+        zipCancel?.addEventListener('click', () => {
+            if (this.zipJob && this.zipJob.running) {
+                this.zipJob.controller.abort();
+            } else {
+                zipDialog.close();
+            }
+        });
+
+        // Closing the dialog mid-download cancels it
+        zipDialog.addEventListener('close', () => {
+            if (this.zipJob && this.zipJob.running) {
+                this.zipJob.controller.abort();
+            }
+        });
+
+        selectionZip?.addEventListener('click', () => {
+            const files = [...this.selection].flatMap(path => this.getSelectedBlobs(path));
+            this.openZipDialog(files, 'selection');
+        });
+
+        downloadZip?.addEventListener('click', () => {
+            // Folders are only expandable when the whole tree is loaded
+            const files = this.displayedFiles.flatMap(file => {
+                if (file.type === 'file') return [file];
+                return file.type === 'dir' && this.treeListing ? this.getSelectedBlobs(file.path) : [];
+            });
+            this.openZipDialog(files, this.currentPath || 'root');
+        });
+    }
+
+    /**
+     * Show the ZIP dialog for a set of files with a size estimate
+     */
+    openZipDialog(files, suffix) {
+        const { zipDialog, zipSummary, zipProgress, zipStatus, zipWarning } = this.elements;
+
+        if (!zipDialog || (this.zipJob && this.zipJob.running)) return;
+
+        // A folder and a file inside it may both be selected
+        const unique = [...new Map(files.map(file => [file.path, file])).values()];
+
+        this.zipJob = {
+            files: unique,
+            name: `${this.getExportBaseName()}-${suffix}`.replace(/[^A-Za-z0-9._-]+/g, '_'),
+            size: this.estimateZipSize(unique),
+            controller: null,
+            running: false
+        };
+
+        if (zipWarning) {
+            if (this.isZipTooLarge(this.zipJob)) {
+                const vars = {
+                    size: this.formatFileSize(this.zipJob.size),
+                    limit: this.formatFileSize(this.zipMemoryLimit)
+                };
+                zipWarning.setAttribute('data-i18n', 'zip_too_large');
+                zipWarning.setAttribute('data-i18n-vars', JSON.stringify(vars));
+                zipWarning.textContent = this.translate('zip_too_large', vars);
+            } else {
+                zipWarning.removeAttribute('data-i18n');
+                zipWarning.removeAttribute('data-i18n-vars');
+                zipWarning.textContent = '';
+            }
+        }
+
+        if (zipSummary) {
+            const vars = { count: unique.length, size: this.formatFileSize(this.zipJob.size) };
+            zipSummary.setAttribute('data-i18n', 'zip_summary');
+            zipSummary.setAttribute('data-i18n-vars', JSON.stringify(vars));
+            zipSummary.textContent = this.translate('zip_summary', vars);
+        }
+        if (zipProgress) {
+            zipProgress.hidden = true;
+            zipProgress.value = 0;
+        }
+        if (zipStatus) {
+            zipStatus.textContent = '';
+        }
+
+        this.renderZipControls();
+        zipDialog.showModal();
+    }
+
+    /**
+     * Estimate the archive size: stored data plus headers, descriptors and the directory
+     */
+    estimateZipSize(files) {
+        return files.reduce((total, file) => {
+            const nameLength = new TextEncoder().encode(file.path).length;
+            return total + (file.size || 0) + 30 + 16 + 46 + nameLength * 2;
+        }, 22);
+    }
+
+    /**
+     * Check whether the archive can be written straight to disk as it is built
+     */
+    canStreamZip() {
+        return typeof window.showSaveFilePicker === 'function';
+    }
+
+    /**
+     * Check whether an archive would have to be held in memory beyond the limit
+     */
+    isZipTooLarge(job) {
+        return !this.canStreamZip() && job.size > this.zipMemoryLimit;
+    }
+
+    /**
+     * Enable the ZIP buttons for the current job state
+     */
+    renderZipControls() {
+        const { zipStart, zipCancel } = this.elements;
+        const job = this.zipJob;
+
+        if (zipStart) {
+            zipStart.disabled = !job || job.running || job.files.length === 0 || this.isZipTooLarge(job);
+        }
+        if (zipCancel) {
+            zipCancel.textContent = this.translate(job && job.running ? 'zip_cancel' : 'close');
+        }
+    }
+
+    /**
+     * Show a ZIP status message
+     */
+    setZipStatus(key, vars = {}) {
+        const { zipStatus } = this.elements;
+
+        if (!zipStatus) return;
+
+        zipStatus.setAttribute('data-i18n', key);
+        zipStatus.setAttribute('data-i18n-vars', JSON.stringify(vars));
+        zipStatus.textContent = this.translate(key, vars);
+    }
+
+    /**
+     * Stream the job's files into a ZIP archive, one file at a time
+     *
+     * Each response body is copied into the archive chunk by chunk, so only the chunk
+     * in flight is held in memory when the archive is written straight to disk.
+     */
+    async startZipDownload() {
+        const job = this.zipJob;
+        const { zipProgress } = this.elements;
+
+        if (!job || job.running || job.files.length === 0 || this.isZipTooLarge(job)) return;
+
+        job.controller = new AbortController();
+        job.running = true;
+        this.renderZipControls();
+
+        const { signal } = job.controller;
+        let sink;
+
+        try {
+            // Must be the first await: the save picker needs the click's user activation
+            sink = await this.createZipSink(`${job.name}.zip`);
+        } catch (error) {
+            job.running = false;
+            this.renderZipControls();
+
+            if (error.name !== 'AbortError') {
+                console.error('Failed to open the ZIP destination:', error);
+                this.setZipStatus('zip_failed', { detail: error.message });
+            }
+            return;
+        }
+        const total = job.files.reduce((sum, file) => sum + (file.size || 0), 0) || 1;
+        const skipped = [];
+        const zip = new ZipWriter(chunk => sink.write(chunk));
+        let loaded = 0;
+
+        if (zipProgress) {
+            zipProgress.hidden = false;
+            zipProgress.value = 0;
+        }
+
+        try {
+            for (const [index, file] of job.files.entries()) {
+                this.setZipStatus('zip_progress', { index: index + 1, total: job.files.length, file: file.path });
+
+                // Revalidated, so a file re-uploaded under the same path is not archived from the HTTP cache
+                const response = await fetch(this.getFileUrl(file), { signal, cache: 'no-cache' });
+
+                // A file removed since the listing loaded should not sink the whole archive
+                if (!response.ok) {
+                    skipped.push(file.path);
+                    loaded += file.size || 0;
+                    continue;
+                }
+
+                const metadata = this.getFileMetadata(file);
+                const chunks = this.readResponseChunks(response, (length) => {
+                    signal.throwIfAborted();
+                    loaded += length;
+                    if (zipProgress) {
+                        zipProgress.value = Math.min(loaded / total, 1);
+                    }
+                });
+
+                await zip.addEntry(file.path, chunks, metadata && metadata.capturedAt ? metadata.capturedAt : new Date());
+            }
+
+            await zip.close();
+            await sink.close();
+
+            if (zipProgress) {
+                zipProgress.value = 1;
+            }
+            if (skipped.length > 0) {
+                this.setZipStatus('zip_done_skipped', { count: skipped.length, files: skipped.join(', ') });
+            } else {
+                this.setZipStatus('zip_done', { count: job.files.length });
+            }
+        } catch (error) {
+            try {
+                await sink.abort();
+            } catch (abortError) {
+                // The partial file is discarded either way
+            }
+
+            if (signal.aborted) {
+                this.setZipStatus('zip_cancelled');
+            } else {
+                console.error('ZIP download failed:', error);
+                this.setZipStatus('zip_failed', { detail: error.message });
+            }
+        } finally {
+            job.running = false;
+            this.renderZipControls();
+        }
+    }
+
+    /**
+     * Setup the duplicates dialog and the button that opens it
+     */
+    setupDuplicatesDialog() {
+        const { findDuplicates, duplicatesDialog, duplicatesClose, duplicatesStart, duplicatesCancel } = this.elements;
+
+        if (!duplicatesDialog) return;
+
+        findDuplicates?.addEventListener('click', () => this.openDuplicatesDialog());
+        duplicatesClose?.addEventListener('click', () => duplicatesDialog.close());
+        duplicatesStart?.addEventListener('click', () => this.startDuplicateScan());
+        duplicatesCancel?.addEventListener('click', () => {
+            if (this.duplicateJob && this.duplicateJob.running) {
+                this.duplicateJob.controller.abort();
+            } else {
+                duplicatesDialog.close();
+            }
+        });
+
+        // Closing the dialog mid-scan cancels it; hashes found so far stay cached
+        duplicatesDialog.addEventListener('close', () => {
+            if (this.duplicateJob && this.duplicateJob.running) {
+                this.duplicateJob.controller.abort();
+            }
+        });
+    }
+
+    /**
+     * Show the duplicates dialog for the current folder with its exact duplicates
+     *
+     * Identical blobs share a SHA in the listing, so they are known without
+     * downloading anything. Near-duplicates need a scan that decodes each image.
+     */
+    openDuplicatesDialog() {
+        const { duplicatesDialog, duplicatesSummary, duplicatesProgress } = this.elements;
+
+        if (!duplicatesDialog || (this.duplicateJob && this.duplicateJob.running)) return;
+
+        const prefix = this.currentPath ? `${this.currentPath}/` : '';
+        const files = this.files.filter(file => file.type === 'file' && file.sha && (file.path || file.name).startsWith(prefix));
+
+        this.duplicateJob = {
+            files,
+            groups: this.findExactDuplicates(files),
+            controller: null,
+            running: false
+        };
+
+        if (duplicatesSummary) {
+            const vars = {
+                count: files.length,
+                images: this.getHashableFiles(files).length,
+                folder: this.currentPath || this.config.repo
+            };
+            duplicatesSummary.setAttribute('data-i18n', 'duplicates_summary');
+            duplicatesSummary.setAttribute('data-i18n-vars', JSON.stringify(vars));
+            duplicatesSummary.textContent = this.translate('duplicates_summary', vars);
+        }
+        if (duplicatesProgress) {
+            duplicatesProgress.hidden = true;
+            duplicatesProgress.value = 0;
+        }
+
+        this.renderDuplicateResults();
+        this.renderDuplicateControls();
+        duplicatesDialog.showModal();
+    }
+
+    /**
+     * Enable the duplicates buttons for the current job state
+     */
+    renderDuplicateControls() {
+        const { duplicatesStart, duplicatesCancel } = this.elements;
+        const job = this.duplicateJob;
+
+        if (duplicatesStart) {
+            duplicatesStart.disabled = !job || job.running || this.getHashableFiles(job.files).length < 2;
+        }
+        if (duplicatesCancel) {
+            duplicatesCancel.textContent = this.translate(job && job.running ? 'duplicates_cancel' : 'close');
+        }
+    }
+
+    /**
+     * Show a duplicates status message
+     */
+    setDuplicatesStatus(key, vars = {}) {
+        const { duplicatesStatus } = this.elements;
+
+        if (!duplicatesStatus) return;
+
+        duplicatesStatus.setAttribute('data-i18n', key);
+        duplicatesStatus.setAttribute('data-i18n-vars', JSON.stringify(vars));
+        duplicatesStatus.textContent = this.translate(key, vars);
+    }
+
+    /**
+     * Get one file per distinct image blob that can be decoded for hashing
+     */
+    getHashableFiles(files) {
+        const bySha = new Map();
+
+        files.forEach(file => {
+            if (HASHABLE_EXTENSIONS.includes(this.getFileExtension(file)) && !bySha.has(file.sha)) {
+                bySha.set(file.sha, file);
+            }
+        });
+
+        return [...bySha.values()];
+    }
+
+    /**
+     * Group files whose blobs are byte-for-byte identical
+     */
+    findExactDuplicates(files) {
+        const bySha = new Map();
+
+        files.forEach(file => {
+            if (!bySha.has(file.sha)) {
+                bySha.set(file.sha, []);
+            }
+            bySha.get(file.sha).push(file);
+        });
+
+        return [...bySha.values()]
+            .filter(group => group.length > 1)
+            .map(group => ({ type: 'exact', files: this.sortDuplicateGroup(group), distance: 0 }))
+            .sort((a, b) => this.getReclaimableSize(b) - this.getReclaimableSize(a));
+    }
+
+    /**
+     * Cluster images whose perceptual hashes are within the distance limit
+     *
+     * Images are linked pairwise and the links merged, so a chain of small edits
+     * ends up in one group. Blobs that are also exact duplicates bring all their
+     * copies along.
+     */
+    findNearDuplicates(files) {
+        const images = this.getHashableFiles(files)
+            .map(file => ({ file, hash: this.imageHashes.get(file.sha) }))
+            .filter(image => image.hash)
+            .map(image => ({ ...image, bytes: ImageHasher.toBytes(image.hash) }));
+        const parents = images.map((image, index) => index);
+        const find = (index) => {
+            while (parents[index] !== index) {
+                parents[index] = parents[parents[index]];
+                index = parents[index];
+            }
+            return index;
+        };
+        const distances = new Map();
+
+        for (let i = 0; i < images.length; i++) {
+            for (let j = i + 1; j < images.length; j++) {
+                const distance = ImageHasher.distance(images[i].bytes, images[j].bytes);
+
+                if (distance > this.duplicateDistance) continue;
+
+                const root = find(i);
+                const other = find(j);
+                const widest = Math.max(distance, distances.get(root) || 0, distances.get(other) || 0);
+
+                parents[other] = root;
+                distances.set(root, widest);
+            }
+        }
+
+        const clusters = new Map();
+
+        images.forEach((image, index) => {
+            const root = find(index);
+            if (!clusters.has(root)) {
+                clusters.set(root, new Set());
+            }
+            clusters.get(root).add(image.file.sha);
+        });
+
+        return [...clusters.entries()]
+            .filter(([, shas]) => shas.size > 1)
+            .map(([root, shas]) => ({
+                type: 'similar',
+                files: this.sortDuplicateGroup(files.filter(file => shas.has(file.sha))),
+                distance: distances.get(root) || 0
+            }))
+            .sort((a, b) => a.distance - b.distance || b.files.length - a.files.length);
+    }
+
+    /**
+     * Order a group so the copy to keep comes first: earliest capture, then path
+     */
+    sortDuplicateGroup(files) {
+        return [...files].sort((a, b) =>
+            this.compareFiles(a, b, 'captured') || (a.path || a.name).localeCompare(b.path || b.name)
+        );
+    }
+
+    /**
+     * Get the bytes freed by keeping only the first file of a group
+     */
+    getReclaimableSize(group) {
+        return group.files.slice(1).reduce((total, file) => total + (file.size || 0), 0);
+    }
+
+    /**
+     * Hash every distinct image a few at a time, then show identical and similar groups
+     */
+    async startDuplicateScan() {
+        const job = this.duplicateJob;
+        const { duplicatesProgress } = this.elements;
+
+        if (!job || job.running) return;
+
+        const images = this.getHashableFiles(job.files);
+        const queue = [...images];
+        let done = 0;
+        let failed = 0;
+
+        job.controller = new AbortController();
+        job.running = true;
+        this.renderDuplicateControls();
+
+        if (duplicatesProgress) {
+            duplicatesProgress.hidden = false;
+            duplicatesProgress.value = 0;
         }
+        this.setDuplicatesStatus('duplicates_progress', { done, total: images.length });
+
+        const { signal } = job.controller;
+        const worker = async () => {
+            while (queue.length > 0 && !signal.aborted) {
+                const hash = await this.loadImageHash(queue.shift(), signal);
+
+                if (signal.aborted) return;
+
+                done++;
+                if (!hash) failed++;
+
+                if (duplicatesProgress) {
+                    duplicatesProgress.value = done / images.length;
+                }
+                this.setDuplicatesStatus('duplicates_progress', { done, total: images.length });
+            }
+        };
 
         try {
-            const [owner, repoName] = this.config.repo.split('/');
-            const isUserPage = repoName.toLowerCase() === `${owner.toLowerCase()}.github.io`;
+            await Promise.all(Array.from({ length: Math.min(4, images.length) }, worker));
+        } finally {
+            job.running = false;
+            this.renderDuplicateControls();
+        }
 
-            if (isUserPage) {
-                return `https://${owner}.github.io/${encodeURIComponent(file.name)}`;
-            } else {
-                return `https://${owner}.github.io/${encodeURIComponent(repoName)}/${encodeURIComponent(file.name)}`;
+        if (signal.aborted) {
+            this.setDuplicatesStatus('duplicates_cancelled');
+            return;
+        }
+
+        job.groups = [...this.findExactDuplicates(job.files), ...this.findNearDuplicates(job.files)];
+        this.renderDuplicateResults();
+
+        const vars = {
+            exact: job.groups.filter(group => group.type === 'exact').length,
+            similar: job.groups.filter(group => group.type === 'similar').length,
+            failed
+        };
+        this.setDuplicatesStatus(failed > 0 ? 'duplicates_done_failed' : 'duplicates_done', vars);
+    }
+
+    /**
+     * Get an image's perceptual hash from memory, the state cache, or by decoding it
+     */
+    async loadImageHash(file, signal) {
+        if (this.imageHashes.has(file.sha)) {
+            return this.imageHashes.get(file.sha);
+        }
+
+        const stored = await this.readState(`dhash/${file.sha}`);
+
+        if (stored) {
+            this.imageHashes.set(file.sha, stored);
+            return stored;
+        }
+
+        try {
+            const hash = await this.computeImageHash(file, signal);
+
+            this.imageHashes.set(file.sha, hash);
+            await this.writeState(`dhash/${file.sha}`, hash);
+
+            return hash;
+        } catch (error) {
+            if (signal.aborted) return null;
+
+            // Remembered for this session only, so a later visit tries again
+            console.warn(`Could not hash ${file.path}:`, error);
+            this.imageHashes.set(file.sha, null);
+
+            return null;
+        }
+    }
+
+    /**
+     * Download and decode an image, then hash its pixels
+     *
+     * The hash is stored under the blob SHA for good, so bytes that are not that blob
+     * (a Pages deploy still catching up, a stale HTTP cache) are refused.
+     */
+    async computeImageHash(file, signal) {
+        const response = await fetch(this.getFileUrl(file), { signal, cache: 'no-cache' });
+
+        if (!response.ok) {
+            throw new GitHubApiError(`HTTP ${response.status} for ${file.path}`, { status: response.status });
+        }
+
+        const bytes = await response.arrayBuffer();
+
+        if (await this.getGitBlobSha(bytes) !== file.sha) {
+            throw new Error(`Downloaded ${file.path} does not match blob ${file.sha}`);
+        }
+
+        const bitmap = await createImageBitmap(new Blob([bytes]));
+
+        try {
+            return ImageHasher.hash(bitmap);
+        } finally {
+            bitmap.close?.();
+        }
+    }
+
+    /**
+     * Get the SHA Git gives a blob with these contents
+     */
+    async getGitBlobSha(bytes) {
+        const header = new TextEncoder().encode(`blob ${bytes.byteLength}\0`);
+        const data = new Uint8Array(header.length + bytes.byteLength);
+
+        data.set(header);
+        data.set(new Uint8Array(bytes), header.length);
+
+        const digest = await window.crypto.subtle.digest('SHA-1', data);
+
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Render the duplicate groups as side-by-side comparisons
+     */
+    renderDuplicateResults() {
+        const { duplicatesResults } = this.elements;
+        const job = this.duplicateJob;
+
+        if (!duplicatesResults) return;
+
+        duplicatesResults.innerHTML = '';
+
+        if (!job) return;
+
+        if (job.groups.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'settings-hint';
+            empty.textContent = this.translate('duplicates_none');
+            duplicatesResults.appendChild(empty);
+            return;
+        }
+
+        job.groups.forEach(group => duplicatesResults.appendChild(this.createDuplicateGroup(group)));
+    }
+
+    /**
+     * Create one comparison group with buttons that feed the selection
+     */
+    createDuplicateGroup(group) {
+        const section = document.createElement('section');
+        section.className = `duplicate-group duplicate-group-${group.type}`;
+
+        const header = document.createElement('header');
+        header.className = 'duplicate-group-header';
+
+        const title = document.createElement('h3');
+        title.className = 'duplicate-group-title';
+        title.textContent = group.type === 'exact'
+            ? this.translate('duplicates_exact', { count: group.files.length })
+            : this.translate('duplicates_similar', { count: group.files.length, distance: group.distance });
+        header.appendChild(title);
+
+        const reclaimable = this.getReclaimableSize(group);
+        if (group.type === 'exact' && reclaimable > 0) {
+            const saving = document.createElement('span');
+            saving.className = 'duplicate-group-saving';
+            saving.textContent = this.translate('duplicates_reclaimable', { size: this.formatFileSize(reclaimable) });
+            header.appendChild(saving);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'duplicate-group-actions';
+        const selectable = group.files.every(file => this.isSelectable(file));
+
+        [
+            ['duplicates_select_extra', group.files.slice(1)],
+            ['duplicates_select_all', group.files]
+        ].forEach(([key, files]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toolbar-button';
+            button.textContent = this.translate(key);
+            button.disabled = !selectable;
+            if (!selectable) {
+                button.title = this.translate('duplicates_select_unavailable');
+            }
+            button.addEventListener('click', () => this.selectDuplicates(files));
+            actions.appendChild(button);
+        });
+        header.appendChild(actions);
+        section.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'duplicate-items';
+        group.files.forEach((file, index) => list.appendChild(this.createDuplicateItem(file, index === 0)));
+        section.appendChild(list);
+
+        return section;
+    }
+
+    /**
+     * Create a comparison card: thumbnail, path, size and capture details
+     */
+    createDuplicateItem(file, isFirst) {
+        const item = document.createElement('li');
+        item.className = 'duplicate-item';
+
+        const link = document.createElement('a');
+        link.className = 'duplicate-preview';
+        link.href = this.getFileUrl(file);
+        link.target = '_blank';
+        link.rel = 'noopener';
+
+        if (this.isImageFile(file)) {
+            const image = document.createElement('img');
+            image.src = this.getFileUrl(file);
+            image.alt = file.path;
+            image.loading = 'lazy';
+            image.decoding = 'async';
+            link.appendChild(image);
+        } else {
+            link.appendChild(this.createFileIcon(file));
+        }
+        item.appendChild(link);
+
+        const path = document.createElement('span');
+        path.className = 'duplicate-path';
+        path.textContent = file.path;
+        item.appendChild(path);
+
+        const meta = document.createElement('span');
+        meta.className = 'duplicate-meta';
+        meta.textContent = [this.formatFileSize(file.size || 0), this.getFileMeta(file)].filter(Boolean).join(' · ');
+        item.appendChild(meta);
+
+        if (isFirst) {
+            const keep = document.createElement('span');
+            keep.className = 'duplicate-keep';
+            keep.textContent = this.translate('duplicates_keep');
+            item.appendChild(keep);
+        }
+
+        return item;
+    }
+
+    /**
+     * Add files from a duplicate group to the bulk selection
+     */
+    selectDuplicates(files) {
+        files.filter(file => this.isSelectable(file)).forEach(file => this.selection.add(file.path));
+
+        this.selectionMessage = null;
+        this.renderFiles(this.files);
+        this.renderSelectionBar();
+        this.setDuplicatesStatus('duplicates_selected', { count: this.selection.size });
+    }
+
+    /**
+     * Read a response body as chunks, reporting each chunk's length
+     */
+    async *readResponseChunks(response, onChunk) {
+        if (!response.body) {
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            onChunk(bytes.length);
+            yield bytes;
+            return;
+        }
+
+        const reader = response.body.getReader();
+        let finished = false;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+
+                if (done) {
+                    finished = true;
+                    return;
+                }
+
+                onChunk(value.length);
+                yield value;
+            }
+        } finally {
+            // Stop the download when the archive gave up on this file
+            if (!finished) {
+                await reader.cancel().catch(() => {});
+            }
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Open the destination the archive is streamed into
+     *
+     * The File System Access API writes straight to disk. Elsewhere the archive is
+     * gathered as Blob parts and downloaded at the end.
+     */
+    async createZipSink(filename) {
+        if (this.canStreamZip()) {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+            });
+            const writable = await handle.createWritable();
+
+            return {
+                write: chunk => writable.write(chunk),
+                close: () => writable.close(),
+                abort: () => writable.abort()
+            };
+        }
+
+        let parts = [];
+        let pending = [];
+        let pendingSize = 0;
+
+        const flush = () => {
+            if (pending.length === 0) return;
+
+            parts.push(new Blob(pending));
+            pending = [];
+            pendingSize = 0;
+        };
+
+        return {
+            write: (chunk) => {
+                pending.push(chunk);
+                pendingSize += chunk.length;
+
+                if (pendingSize >= ZIP_BLOB_PART_SIZE) {
+                    flush();
+                }
+            },
+            close: () => {
+                flush();
+                this.downloadFile(filename, new Blob(parts), 'application/zip');
+            },
+            abort: () => {
+                parts = [];
+                pending = [];
+            }
+        };
+    }
+
+    /**
+     * Offer text content as a file download
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Sync the settings dialog with the current session
+     */
+    updateSettingsDialog(statusKey = null) {
+        const { tokenInput, tokenClear, tokenStatus, pagesSettingsLink } = this.elements;
+        const hasToken = Boolean(this.getToken());
+
+        // Never echo the stored token back into the page
+        if (tokenInput) {
+            tokenInput.value = '';
+            tokenInput.placeholder = hasToken ? '••••••••' : '';
+        }
+        if (tokenClear) {
+            tokenClear.disabled = !hasToken;
+        }
+        if (tokenStatus) {
+            tokenStatus.textContent = statusKey
+                ? this.translate(statusKey)
+                : this.translate(hasToken ? 'token_active' : 'token_none');
+        }
+        if (pagesSettingsLink) {
+            pagesSettingsLink.href = this.getPagesSettingsUrl() || '#';
+        }
+
+        this.refreshOfflineStatus();
+    }
+
+    /**
+     * Send a request to the service worker and wait for its reply
+     */
+    sendMessageToWorker(message, { timeout = WORKER_MESSAGE_TIMEOUT } = {}) {
+        const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+
+        if (!controller) {
+            return Promise.reject(new Error('No active service worker'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const messageChannel = new MessageChannel();
+            const timer = window.setTimeout(() => {
+                messageChannel.port1.close();
+                reject(new Error(`The service worker did not answer ${message.type}`));
+            }, timeout);
+
+            messageChannel.port1.onmessage = (event) => {
+                window.clearTimeout(timer);
+
+                if (event.data && event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve(event.data);
+                }
+            };
+
+            controller.postMessage(message, [messageChannel.port2]);
+        });
+    }
+
+    /**
+     * Check whether offline storage can be managed from this page
+     */
+    isOfflineSupported() {
+        return 'serviceWorker' in navigator && Boolean(navigator.serviceWorker.controller);
+    }
+
+    /**
+     * Ask the service worker which media files are cached
+     */
+    async refreshOfflineStatus() {
+        if (!this.isOfflineSupported()) {
+            this.renderStorageUsage();
+            return;
+        }
+
+        try {
+            const { status } = await this.sendMessageToWorker({ type: 'MEDIA_STATUS' });
+            this.applyOfflineStatus(status);
+        } catch (error) {
+            console.warn('Failed to read offline status:', error);
+        }
+    }
+
+    /**
+     * Store a media status reply and refresh everything that shows it
+     */
+    applyOfflineStatus(status) {
+        const previous = JSON.stringify([...this.offlineMedia]);
+
+        this.storageStatus = status;
+        this.offlineMedia = new Map(status.entries.map(entry => [entry.url, { pinned: entry.pinned }]));
+        this.renderStorageUsage();
+
+        // Only rebuild the listing when its indicators actually changed
+        if (JSON.stringify([...this.offlineMedia]) !== previous && this.files.length > 0) {
+            this.renderFiles(this.files);
+        }
+    }
+
+    /**
+     * Show storage use in the settings dialog
+     */
+    renderStorageUsage() {
+        const { storageUsage, clearCache } = this.elements;
+
+        if (!storageUsage) return;
+
+        const status = this.storageStatus;
+
+        if (clearCache) {
+            clearCache.disabled = !this.isOfflineSupported();
+        }
+
+        if (!this.isOfflineSupported() || !status) {
+            storageUsage.textContent = this.translate('storage_unavailable');
+            return;
+        }
+
+        storageUsage.textContent = this.translate(status.quota ? 'storage_usage' : 'storage_usage_media', {
+            used: this.formatFileSize(status.usage || 0),
+            quota: this.formatFileSize(status.quota || 0),
+            media: this.formatFileSize(status.mediaBytes),
+            budget: this.formatFileSize(status.budget)
+        });
+    }
+
+    /**
+     * Drop cached media and listings
+     */
+    async clearOfflineCache() {
+        const { clearCache, storageUsage } = this.elements;
+
+        if (clearCache) {
+            clearCache.disabled = true;
+        }
+
+        try {
+            const { status } = await this.sendMessageToWorker({ type: 'CLEAR_CACHE' });
+            this.etagCache.clear();
+            this.applyOfflineStatus(status);
+
+            if (storageUsage) {
+                storageUsage.textContent = `${this.translate('cache_cleared')} ${storageUsage.textContent}`;
             }
         } catch (error) {
-            console.warn('Failed to generate Pages URL, falling back to GitHub URL:', error);
-            return file.html_url;
+            console.error('Failed to clear cache:', error);
+            this.renderStorageUsage();
         }
     }
 
     /**
-     * Get file metadata string
+     * Get the URL the service worker caches for a file
      */
-    getFileMeta(file) {
-        if (file.type === 'dir') {
-            return 'Directory';
-        }
+    getOfflineUrl(file) {
+        return this.getFileUrl(file);
+    }
 
-        if (file.size) {
-            return this.formatFileSize(file.size);
+    /**
+     * Get the media files a file or folder entry stands for
+     */
+    getOfflineTargets(file) {
+        if (file.type === 'file') {
+            return this.isPreviewableFile(file) ? [file] : [];
         }
 
-        return 'File';
+        const source = this.treeListing ? this.treeListing.entries : this.files;
+        const prefix = `${file.path}/`;
+
+        return source.filter(entry => entry.path.startsWith(prefix) && this.isPreviewableFile(entry));
     }
 
     /**
-     * Format file size in human readable format
+     * Check whether every media file behind an entry is pinned
      */
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 B';
+    isPinnedOffline(file) {
+        const targets = this.getOfflineTargets(file);
 
-        const k = 1024;
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+        return targets.length > 0 && targets.every(target => {
+            const entry = this.offlineMedia.get(this.getOfflineUrl(target));
+            return entry && entry.pinned;
+        });
     }
 
     /**
-     * Action handlers
+     * Pin or unpin a file or folder for offline use
      */
-    handleUploadAction() {
-        if (this.config.hostedUrl) {
-            window.open(this.config.hostedUrl, '_blank');
-        }
-    }
+    async toggleOffline(file, button) {
+        const urls = this.getOfflineTargets(file).map(target => this.getOfflineUrl(target));
+        const pin = !this.isPinnedOffline(file);
 
-    handleRefreshAction() {
-        this.loadFiles();
-    }
+        if (urls.length === 0) return;
 
-    handleSettingsAction() {
-        if (!this.config.repo) return;
+        button.disabled = true;
+        button.classList.add('is-busy');
+        this.setOfflineStatus(null);
 
         try {
-            const [owner, repoName] = this.config.repo.split('/');
-            const settingsUrl = `https://github.com/${encodeURIComponent(owner)}/${encodeURIComponent(repoName)}/settings/pages`;
-            window.open(settingsUrl, '_blank');
+            // Pinning downloads every file, so allow time for each
+            const { failed = [], status } = await this.sendMessageToWorker({
+                type: pin ? 'MEDIA_PIN' : 'MEDIA_UNPIN',
+                urls
+            }, { timeout: WORKER_MESSAGE_TIMEOUT * (pin ? urls.length : 1) });
+
+            this.applyOfflineStatus(status);
+
+            if (failed.length > 0) {
+                const key = failed.some(item => item.reason === 'quota') ? 'offline_quota' : 'offline_failed';
+                this.setOfflineStatus(key, { count: failed.length });
+            }
         } catch (error) {
-            console.error('Failed to open settings:', error);
+            console.error('Failed to update offline files:', error);
+            this.setOfflineStatus('offline_failed', { count: urls.length });
+        } finally {
+            button.disabled = false;
+            button.classList.remove('is-busy');
+        }
+    }
+
+    /**
+     * Show a pinning problem above the listing, or clear it with null
+     */
+    setOfflineStatus(key, vars = {}) {
+        const { offlineStatus } = this.elements;
+
+        if (!offlineStatus) return;
+
+        if (!key) {
+            offlineStatus.removeAttribute('data-i18n');
+            offlineStatus.removeAttribute('data-i18n-vars');
+            offlineStatus.textContent = '';
+            return;
         }
+
+        offlineStatus.setAttribute('data-i18n', key);
+        offlineStatus.setAttribute('data-i18n-vars', JSON.stringify(vars));
+        offlineStatus.textContent = this.translate(key, vars);
+    }
+
+    /**
+     * Create the offline toggle for a file or folder row
+     */
+    createOfflineToggle(file) {
+        const pinned = this.isPinnedOffline(file);
+        const button = document.createElement('button');
+        const label = this.translate(pinned ? 'offline_remove' : 'offline_save');
+
+        button.type = 'button';
+        button.className = 'file-offline-toggle';
+        button.setAttribute('aria-pressed', String(pinned));
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.textContent = pinned ? '●' : '○';
+        button.addEventListener('click', () => this.toggleOffline(file, button));
+
+        return button;
     }
 
     /**
@@ -393,17 +7562,32 @@ class GitHubPagesBrowser {
         }
     }
 
-    showError(message) {
+    showError(messageKey, vars = {}, { retry = false } = {}) {
         this.hideAllStates();
         if (this.elements.errorState) {
+            const { errorMessage, errorRetry } = this.elements;
+
+            // Keep the key on the element so a language switch retranslates it
+            if (errorMessage) {
+                errorMessage.setAttribute('data-i18n', messageKey);
+                errorMessage.setAttribute('data-i18n-vars', JSON.stringify(vars));
+                errorMessage.textContent = this.translate(messageKey, vars);
+            }
+            if (errorRetry) {
+                errorRetry.hidden = !retry;
+            }
             this.elements.errorState.style.display = 'block';
-            this.elements.errorState.textContent = message;
         }
     }
 
-    showEmpty() {
+    showEmpty(messageKey = null) {
         this.hideAllStates();
         if (this.elements.emptyState) {
+            const message = this.elements.emptyState.querySelector('[data-i18n]');
+            if (message) {
+                message.setAttribute('data-i18n', messageKey || (this.currentPath ? 'empty_folder' : 'no_files'));
+                message.textContent = this.translate(message.getAttribute('data-i18n'));
+            }
             this.elements.emptyState.style.display = 'block';
         }
     }
@@ -417,6 +7601,580 @@ class GitHubPagesBrowser {
     }
 }
 
+/**
+ * Reads capture metadata encoded in screenshot filenames
+ *
+ * Patterns are tried in order and use named groups: year, month, day, hour, minute,
+ * second and ms for the capture time, width and height for the resolution. Any other
+ * named group is copied onto the result as-is.
+ */
+class FilenameMetadataParser {
+    constructor(patterns = FilenameMetadataParser.defaultPatterns) {
+        this.patterns = [...patterns];
+    }
+
+    /**
+     * Add a pattern; patterns registered later are tried first
+     */
+    register(pattern) {
+        if (!pattern || !pattern.id || !(pattern.regex instanceof RegExp)) {
+            throw new TypeError('Filename patterns need an id and a regex');
+        }
+
+        this.patterns = [pattern, ...this.patterns.filter(existing => existing.id !== pattern.id)];
+    }
+
+    /**
+     * Parse a filename, returning null when no pattern matches
+     */
+    parse(name) {
+        for (const pattern of this.patterns) {
+            // Global and sticky patterns would otherwise carry on from the previous name
+            pattern.regex.lastIndex = 0;
+
+            const match = pattern.regex.exec(name);
+
+            if (match && match.groups) {
+                const metadata = this.buildMetadata(pattern.id, match.groups);
+                if (metadata) return metadata;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Turn matched groups into a metadata object
+     */
+    buildMetadata(source, groups) {
+        const { year, month, day, hour, minute, second, ms, width, height, ...extra } = groups;
+        const metadata = { source, capturedAt: null, width: null, height: null, orientation: null };
+
+        if (year && month && day) {
+            const capturedAt = new Date(
+                Number(year), Number(month) - 1, Number(day),
+                Number(hour || 0), Number(minute || 0), Number(second || 0), Number(ms || 0)
+            );
+
+            // Reject impossible dates such as 2026-02-31 instead of letting Date roll them over
+            if (capturedAt.getMonth() !== Number(month) - 1 || capturedAt.getDate() !== Number(day)) {
+                return null;
+            }
+
+            metadata.capturedAt = capturedAt;
+        }
+
+        if (width && height) {
+            metadata.width = Number(width);
+            metadata.height = Number(height);
+            metadata.orientation = metadata.width === metadata.height
+                ? 'square'
+                : (metadata.width > metadata.height ? 'landscape' : 'portrait');
+        }
+
+        Object.keys(extra).forEach(key => {
+            if (extra[key] !== undefined) {
+                metadata[key] = extra[key];
+            }
+        });
+
+        return metadata;
+    }
+}
+
+const FILENAME_DATE = '(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})';
+const FILENAME_TIME = '(?<hour>\\d{2})-(?<minute>\\d{2})-(?<second>\\d{2})';
+
+FilenameMetadataParser.defaultPatterns = [
+    {
+        // VRChat_2026-03-13_09-17-58.345_1080x1920.png
+        id: 'vrchat',
+        regex: new RegExp(`^VRChat_${FILENAME_DATE}_${FILENAME_TIME}\\.(?<ms>\\d{3})_(?<width>\\d+)x(?<height>\\d+)\\.\\w+$`, 'i')
+    },
+    {
+        // ttayini_2026-01-02_00-04-03.554_prnt_73bbe7d0-0969-4abf-9051-09bd14b428c6.png
+        id: 'vrchat-print',
+        regex: new RegExp(`^(?<author>.+?)_${FILENAME_DATE}_${FILENAME_TIME}\\.(?<ms>\\d{3})_prnt_(?<printId>[0-9a-f-]{36})\\.\\w+$`, 'i')
+    },
+    {
+        // image_2026-03-13_00-04-01.png
+        id: 'image',
+        regex: new RegExp(`^image_${FILENAME_DATE}_${FILENAME_TIME}\\.\\w+$`, 'i')
+    },
+    {
+        // 2026-05-18 20-17-39.mp4 (OBS recordings)
+        id: 'recording',
+        regex: new RegExp(`^${FILENAME_DATE} ${FILENAME_TIME}\\.\\w+$`, 'i')
+    }
+];
+
+/**
+ * PNG chunk reader for embedded text and XMP metadata
+ *
+ * Works on partial data: chunks are read in order from the signature for the head
+ * of a file, or located by their CRC in a slice from its tail.
+ */
+class PngMetadataReader {
+    /**
+     * Read chunks in order until the data runs out
+     *
+     * needed is the length required to complete a text chunk cut off at the end.
+     */
+    static readChunks(bytes) {
+        const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+        if (bytes.length < 8 || signature.some((byte, index) => bytes[index] !== byte)) {
+            throw new TypeError('Not a PNG file');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let needed = null;
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = PngMetadataReader.readType(bytes, offset + 4);
+            const end = offset + 12 + length;
+
+            if (end > bytes.length) {
+                if (PngMetadataReader.TEXT_TYPES.includes(type)) {
+                    needed = end;
+                }
+                break;
+            }
+
+            chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+
+            if (type === 'IEND') break;
+
+            offset = end;
+        }
+
+        return { chunks, needed };
+    }
+
+    /**
+     * Find text chunks in a slice that does not start on a chunk boundary
+     */
+    static scanChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+
+        for (let offset = 0; offset + 12 <= bytes.length; offset++) {
+            const type = PngMetadataReader.readType(bytes, offset + 4);
+
+            if (!PngMetadataReader.TEXT_TYPES.includes(type)) continue;
+
+            const length = view.getUint32(offset);
+            const end = offset + 12 + length;
+
+            if (end > bytes.length) continue;
+
+            // Image data can contain the type bytes by chance; the CRC rules those out
+            const crc = ZipWriter.updateCrc(0xFFFFFFFF, bytes.subarray(offset + 4, end - 4)) ^ 0xFFFFFFFF;
+
+            if ((crc >>> 0) !== view.getUint32(end - 4)) continue;
+
+            chunks.push({ type, data: bytes.subarray(offset + 8, end - 4) });
+            offset = end - 1;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Read a four-letter chunk type
+     */
+    static readType(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    }
+
+    /**
+     * Decode IHDR, tEXt, zTXt and iTXt chunks into plain, serialisable metadata
+     */
+    static async describe(chunks) {
+        const metadata = { width: null, height: null, bitDepth: null, colorType: null, fields: {}, xmp: null };
+        const latin1 = new TextDecoder('latin1');
+        const utf8 = new TextDecoder();
+
+        for (const { type, data } of chunks) {
+            if (type === 'IHDR' && data.length >= 13) {
+                const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+                metadata.width = view.getUint32(0);
+                metadata.height = view.getUint32(4);
+                metadata.bitDepth = data[8];
+                metadata.colorType = data[9];
+                continue;
+            }
+
+            if (!PngMetadataReader.TEXT_TYPES.includes(type)) continue;
+
+            const keywordEnd = data.indexOf(0);
+
+            if (keywordEnd <= 0) continue;
+
+            const keyword = latin1.decode(data.subarray(0, keywordEnd));
+            let text;
+
+            try {
+                if (type === 'tEXt') {
+                    text = latin1.decode(data.subarray(keywordEnd + 1));
+                } else if (type === 'zTXt') {
+                    text = latin1.decode(await PngMetadataReader.inflate(data.subarray(keywordEnd + 2)));
+                } else {
+                    // iTXt: compression flag and method, then language tag and translated keyword
+                    const compressed = data[keywordEnd + 1] === 1;
+                    const languageEnd = data.indexOf(0, keywordEnd + 3);
+                    const translatedEnd = data.indexOf(0, languageEnd + 1);
+                    const body = data.subarray(translatedEnd + 1);
+
+                    text = utf8.decode(compressed ? await PngMetadataReader.inflate(body) : body);
+                }
+            } catch (error) {
+                console.warn(`Skipping unreadable ${type} chunk "${keyword}":`, error);
+                continue;
+            }
+
+            if (keyword === 'XML:com.adobe.xmp') {
+                metadata.xmp = PngMetadataReader.parseXmp(text);
+            } else {
+                metadata.fields[keyword] = text;
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Inflate zlib data with the browser's DecompressionStream
+     */
+    static async inflate(bytes) {
+        const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Pick the world, author and date out of an XMP packet
+     *
+     * Values may be written as elements or as attributes of rdf:Description, and
+     * lists (rdf:Seq and friends) are credited to the property that holds them.
+     */
+    static parseXmp(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+        if (doc.getElementsByTagName('parsererror').length > 0) return null;
+
+        const values = {};
+        const containers = ['li', 'Seq', 'Bag', 'Alt'];
+
+        Array.from(doc.getElementsByTagName('*')).forEach(element => {
+            Array.from(element.attributes).forEach(attribute => {
+                if (attribute.prefix && attribute.prefix !== 'xmlns' && !(attribute.localName in values)) {
+                    values[attribute.localName] = attribute.value;
+                }
+            });
+
+            const text = element.textContent.trim();
+
+            if (element.children.length > 0 || !text) return;
+
+            let owner = element;
+            while (containers.includes(owner.localName) && owner.parentElement) {
+                owner = owner.parentElement;
+            }
+
+            if (!(owner.localName in values)) {
+                values[owner.localName] = text;
+            }
+        });
+
+        const xmp = {
+            worldName: values.WorldDisplayName || null,
+            worldId: values.WorldID || null,
+            author: values.Author || values.creator || null,
+            authorId: values.AuthorID || null,
+            createdAt: values.CreateDate || values.DateTimeOriginal || values.DateCreated || null,
+            creatorTool: values.CreatorTool || null
+        };
+
+        return Object.values(xmp).some(Boolean) ? xmp : null;
+    }
+}
+
+PngMetadataReader.TEXT_TYPES = ['tEXt', 'zTXt', 'iTXt'];
+
+/**
+ * Perceptual difference hash (dHash) of an image
+ *
+ * The image is shrunk to a 9×8 grid of average luminance and each bit records
+ * whether a cell is brighter than its right neighbour. Rescaling, recompression
+ * and small edits flip few bits, so the Hamming distance between two hashes
+ * measures how alike the images look.
+ */
+class ImageHasher {
+    /**
+     * Hash a decoded image or canvas into 16 hex digits
+     */
+    static hash(source) {
+        const { GRID_WIDTH, GRID_HEIGHT, CELL_SIZE } = ImageHasher;
+        const width = GRID_WIDTH * CELL_SIZE;
+        const height = GRID_HEIGHT * CELL_SIZE;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(source, 0, 0, width, height);
+
+        const { data } = context.getImageData(0, 0, width, height);
+        const cells = new Float64Array(GRID_WIDTH * GRID_HEIGHT);
+
+        // Average each cell instead of trusting the browser's downscaling filter
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                const cell = Math.floor(y / CELL_SIZE) * GRID_WIDTH + Math.floor(x / CELL_SIZE);
+                cells[cell] += 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+            }
+        }
+
+        let hex = '';
+
+        for (let row = 0; row < GRID_HEIGHT; row++) {
+            let bits = 0;
+            for (let column = 0; column < GRID_WIDTH - 1; column++) {
+                const cell = row * GRID_WIDTH + column;
+                bits = (bits << 1) | (cells[cell] > cells[cell + 1] ? 1 : 0);
+            }
+            hex += bits.toString(16).padStart(2, '0');
+        }
+
+        return hex;
+    }
+
+    /**
+     * Convert a hex hash to bytes for repeated comparison
+     */
+    static toBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Count the bits that differ between two hashes
+     */
+    static distance(a, b) {
+        let distance = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            distance += ImageHasher.bitCounts[a[i] ^ b[i]];
+        }
+
+        return distance;
+    }
+}
+
+ImageHasher.GRID_WIDTH = 9;
+ImageHasher.GRID_HEIGHT = 8;
+ImageHasher.CELL_SIZE = 8;
+
+ImageHasher.bitCounts = (() => {
+    const counts = new Uint8Array(256);
+
+    for (let n = 1; n < 256; n++) {
+        counts[n] = (n & 1) + counts[n >> 1];
+    }
+
+    return counts;
+})();
+
+/**
+ * Streaming ZIP writer
+ *
+ * Entries are stored uncompressed and passed to the sink as they arrive; the CRC-32
+ * and sizes follow each entry in a data descriptor, so nothing has to be known up
+ * front. ZIP64 records are only added once offsets or the entry count outgrow the
+ * classic format (single entries stay below 4 GiB, far above GitHub's file limit).
+ */
+class ZipWriter {
+    constructor(sink) {
+        this.sink = sink;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    /**
+     * Pass bytes to the sink and advance the archive offset
+     */
+    async write(bytes) {
+        await this.sink(bytes);
+        this.offset += bytes.length;
+    }
+
+    /**
+     * Add a file from an async iterable of Uint8Array chunks
+     */
+    async addEntry(name, chunks, date = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        const { time, day } = ZipWriter.toDosDateTime(date);
+        const entry = { nameBytes, time, day, offset: this.offset, crc: 0, size: 0 };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, ZIP_FLAGS, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        // CRC-32 and sizes stay zero here; the data descriptor carries them
+        header.setUint16(26, nameBytes.length, true);
+
+        await this.write(new Uint8Array(header.buffer));
+        await this.write(nameBytes);
+
+        let crc = 0xFFFFFFFF;
+
+        for await (const chunk of chunks) {
+            crc = ZipWriter.updateCrc(crc, chunk);
+            entry.size += chunk.length;
+            await this.write(chunk);
+        }
+
+        if (entry.size >= 0xFFFFFFFF) {
+            throw new RangeError(`${name} is too large for a ZIP entry`);
+        }
+
+        entry.crc = (crc ^ 0xFFFFFFFF) >>> 0;
+
+        const descriptor = new DataView(new ArrayBuffer(16));
+        descriptor.setUint32(0, 0x08074b50, true);
+        descriptor.setUint32(4, entry.crc, true);
+        descriptor.setUint32(8, entry.size, true);
+        descriptor.setUint32(12, entry.size, true);
+
+        await this.write(new Uint8Array(descriptor.buffer));
+        this.entries.push(entry);
+    }
+
+    /**
+     * Write the central directory and end records
+     */
+    async close() {
+        const start = this.offset;
+
+        for (const entry of this.entries) {
+            const nameLength = entry.nameBytes.length;
+            const zip64 = entry.offset >= 0xFFFFFFFF;
+            const extraLength = zip64 ? 12 : 0;
+            const record = new DataView(new ArrayBuffer(46 + nameLength + extraLength));
+
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, zip64 ? 45 : 20, true);
+            record.setUint16(6, zip64 ? 45 : 20, true);
+            record.setUint16(8, ZIP_FLAGS, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.day, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, nameLength, true);
+            record.setUint16(30, extraLength, true);
+            record.setUint32(42, zip64 ? 0xFFFFFFFF : entry.offset, true);
+            new Uint8Array(record.buffer).set(entry.nameBytes, 46);
+
+            if (zip64) {
+                record.setUint16(46 + nameLength, 0x0001, true);
+                record.setUint16(48 + nameLength, 8, true);
+                record.setBigUint64(50 + nameLength, BigInt(entry.offset), true);
+            }
+
+            await this.write(new Uint8Array(record.buffer));
+        }
+
+        const size = this.offset - start;
+        const count = this.entries.length;
+
+        if (count >= 0xFFFF || start >= 0xFFFFFFFF || size >= 0xFFFFFFFF) {
+            const recordOffset = this.offset;
+            const record = new DataView(new ArrayBuffer(76));
+
+            // ZIP64 end of central directory record
+            record.setUint32(0, 0x06064b50, true);
+            record.setBigUint64(4, 44n, true);
+            record.setUint16(12, 45, true);
+            record.setUint16(14, 45, true);
+            record.setBigUint64(24, BigInt(count), true);
+            record.setBigUint64(32, BigInt(count), true);
+            record.setBigUint64(40, BigInt(size), true);
+            record.setBigUint64(48, BigInt(start), true);
+
+            // ZIP64 end of central directory locator
+            record.setUint32(56, 0x07064b50, true);
+            record.setBigUint64(64, BigInt(recordOffset), true);
+            record.setUint32(72, 1, true);
+
+            await this.write(new Uint8Array(record.buffer));
+        }
+
+        // Fields that overflowed hold their maximum, pointing readers at the ZIP64 record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Math.min(count, 0xFFFF), true);
+        end.setUint16(10, Math.min(count, 0xFFFF), true);
+        end.setUint32(12, Math.min(size, 0xFFFFFFFF), true);
+        end.setUint32(16, Math.min(start, 0xFFFFFFFF), true);
+
+        await this.write(new Uint8Array(end.buffer));
+    }
+
+    /**
+     * Convert a date to MS-DOS time and date fields (2-second precision, from 1980)
+     */
+    static toDosDateTime(date) {
+        const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Feed bytes into a running CRC-32
+     */
+    static updateCrc(crc, bytes) {
+        const table = ZipWriter.crcTable;
+
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return crc >>> 0;
+    }
+}
+
+ZipWriter.crcTable = (() => {
+    const table = new Uint32Array(256);
+
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+
+    return table;
+})();
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize theme system
@@ -496,4 +8254,5 @@ function initializeTheme() {
 
 // Export for potential use in other scripts
 window.GitHubPagesBrowser = GitHubPagesBrowser;
+window.FilenameMetadataParser = FilenameMetadataParser;
 window.themeUtils = { setTheme, toggleTheme };
\ No newline at end of file
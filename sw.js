@@ -3,19 +3,78 @@
  * Provides basic offline functionality and caching
  */
 
-const CACHE_NAME = 'github-pages-browser-v1';
-const STATIC_CACHE_URLS = [
-  '/',
-  '/github-pages.css',
-  '/github-pages.js'
-];
+// Bump the version in every change to index.html or an asset, together with the ?v=
+// query index.html loads the assets with. The app shell cache is named after it and the
+// changed bytes make browsers install the new worker, which then offers the update.
+const BUILD_MANIFEST = {
+  version: '2026.10.18.26',
+  assets: [
+    './',
+    './assets/github-pages.css',
+    './assets/github-pages.js'
+  ]
+};
+
+const CACHE_PREFIX = 'github-pages-browser-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_MANIFEST.version}`;
+// Resolved against the registration scope so project sites under /<repo>/ work too; assets
+// carry the version like their links in index.html, so new markup never gets old assets
+const STATIC_CACHE_URLS = BUILD_MANIFEST.assets.map((path) => {
+  const url = new URL(path, self.registration.scope);
+
+  if (path !== './') {
+    url.searchParams.set('v', BUILD_MANIFEST.version);
+  }
+
+  return url.href;
+});
 
 const API_CACHE_NAME = 'github-api-cache-v1';
 const API_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
+// Viewed images are kept up to a size budget; pinned files are never evicted
+const MEDIA_CACHE_NAME = 'github-media-cache-v1';
+const MEDIA_CACHE_MAX_BYTES = 250 * 1024 * 1024;
+const MEDIA_CACHE_QUOTA_SHARE = 0.5; // of navigator.storage.estimate().quota
+const MEDIA_INDEX_URL = new URL('__media-index__', self.registration.scope).href;
+const MEDIA_DESTINATIONS = ['image', 'video', 'audio'];
+
+let mediaIndexPromise = null;
+
+// Small JSON records shared with the page, e.g. the last seen blob SHAs per repository
+const STATE_CACHE_NAME = 'github-pages-state-v1';
+const STATE_URL_PREFIX = `${self.location.origin}/__github-pages-state__/`;
+const SYNC_TAG = 'github-data-sync';
+
+// Per-route strategies, first match wins; unmatched requests (e.g. same-origin files fetched
+// for a ZIP or a hash) go straight to the network
+const ROUTES = [
+  {
+    name: 'api',
+    match: (url) => url.hostname === 'api.github.com',
+    handler: staleWhileRevalidate
+  },
+  {
+    name: 'media',
+    match: (url, request) => MEDIA_DESTINATIONS.includes(request.destination),
+    handler: cacheMedia
+  },
+  {
+    name: 'page',
+    match: (url, request) => request.mode === 'navigate' && url.origin === self.location.origin,
+    handler: networkFirst
+  },
+  {
+    name: 'static',
+    match: (url) => STATIC_CACHE_URLS.includes(url.href),
+    handler: revalidateAsset
+  }
+];
+
 // Install event - cache static assets
+// An updated worker then waits until the page asks it to take over (SKIP_WAITING)
 self.addEventListener('install', (event) => {
-  console.log('Service Worker installing...');
+  console.log(`Service Worker ${BUILD_MANIFEST.version} installing...`);
   
   event.waitUntil(
     caches.open(CACHE_NAME)
@@ -23,22 +82,21 @@ self.addEventListener('install', (event) => {
         console.log('Caching static assets');
         return cache.addAll(STATIC_CACHE_URLS);
       })
-      .then(() => {
-        return self.skipWaiting();
-      })
   );
 });
 
 // Activate event - clean up old caches
+// Only app shell caches from other versions go; API, media and state caches are
+// version-independent and caches this worker doesn't own are left alone
 self.addEventListener('activate', (event) => {
-  console.log('Service Worker activating...');
+  console.log(`Service Worker ${BUILD_MANIFEST.version} activating...`);
   
   event.waitUntil(
     caches.keys()
       .then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            if (cacheName !== CACHE_NAME && cacheName !== API_CACHE_NAME) {
+            if (cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME) {
               console.log('Deleting old cache:', cacheName);
               return caches.delete(cacheName);
             }
@@ -51,151 +109,635 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Fetch event - serve cached content when offline
+// Fetch event - dispatch to the strategy for the route
 self.addEventListener('fetch', (event) => {
   const { request } = event;
+
+  // Only reads are cacheable; uploads and other writes always hit the network
+  if (request.method !== 'GET') return;
+
   const url = new URL(request.url);
+  const route = ROUTES.find((candidate) => candidate.match(url, request));
 
-  // Handle GitHub API requests with caching
-  if (url.hostname === 'api.github.com') {
-    event.respondWith(handleAPIRequest(request));
-    return;
-  }
-
-  // Handle static assets
-  if (request.method === 'GET') {
-    event.respondWith(
-      caches.match(request)
-        .then((cachedResponse) => {
-          if (cachedResponse) {
-            return cachedResponse;
-          }
-
-          return fetch(request)
-            .then((response) => {
-              // Don't cache non-successful responses
-              if (!response || response.status !== 200 || response.type !== 'basic') {
-                return response;
-              }
-
-              // Clone the response
-              const responseToCache = response.clone();
-
-              caches.open(CACHE_NAME)
-                .then((cache) => {
-                  cache.put(request, responseToCache);
-                });
-
-              return response;
-            })
-            .catch(() => {
-              // Return offline page or fallback
-              return new Response(
-                JSON.stringify({
-                  error: 'offline',
-                  message: 'You are currently offline. Please check your internet connection.'
-                }),
-                {
-                  headers: { 'Content-Type': 'application/json' },
-                  status: 503,
-                  statusText: 'Service Unavailable'
-                }
-              );
-            });
-        })
-    );
+  if (route) {
+    event.respondWith(route.handler(request, event));
   }
 });
 
 /**
- * Handle GitHub API requests with intelligent caching
+ * Stale-while-revalidate for same-origin assets
+ *
+ * The cached copy answers at once and is replaced in the background, so an asset
+ * that changed under an unchanged URL is current from the next load on.
+ */
+async function revalidateAsset(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cachedResponse = await cache.match(request);
+  const refresh = fetch(request)
+    .then(async (response) => {
+      // Don't cache non-successful responses
+      if (response.status === 200 && response.type === 'basic') {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+  if (cachedResponse) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cachedResponse;
+  }
+
+  try {
+    return await refresh;
+  } catch (error) {
+    return offlineResponse('offline', 'You are currently offline. Please check your internet connection.');
+  }
+}
+
+/**
+ * Network-first for the page itself so new config and translations are picked up
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(request, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cachedResponse = await caches.match(request, { ignoreSearch: true });
+    return cachedResponse || offlineResponse('offline', 'You are currently offline. Please check your internet connection.');
+  }
+}
+
+/**
+ * Stale-while-revalidate for GitHub API requests
+ *
+ * Cached entries younger than API_CACHE_DURATION are served as-is. Older ones are
+ * still served immediately while a conditional request refreshes them in the
+ * background; clients are told when the data actually changed. An explicit refresh
+ * (cache mode 'reload') waits for the conditional request instead. Entries are only
+ * ever replaced by a newer good response, so the last listing survives offline.
  */
-async function handleAPIRequest(request) {
+async function staleWhileRevalidate(request, event) {
+  // Responses fetched with a token are private to this session and must not be stored
+  if (request.headers.has('Authorization')) {
+    return fetchAndCache(request, null);
+  }
+
+  const cache = await caches.open(API_CACHE_NAME);
+  let cachedResponse = await cache.match(request, { ignoreVary: true });
+
+  if (!cachedResponse) {
+    return fetchAndCache(request, cache);
+  }
+
+  if (request.cache === 'reload') {
+    // The page renders the answer itself, so there is nobody to notify
+    await revalidate(request, cache, cachedResponse, { notify: false });
+    cachedResponse = (await cache.match(request, { ignoreVary: true })) || cachedResponse;
+  }
+
+  const cachedAt = parseInt(cachedResponse.headers.get('sw-cached-at'), 10) || 0;
+  const isStale = Date.now() - cachedAt > API_CACHE_DURATION;
+
+  if (isStale) {
+    event.waitUntil(revalidate(request, cache, cachedResponse));
+  }
+
+  // The page already holds this exact version
+  const etag = cachedResponse.headers.get('ETag');
+  if (etag && request.headers.get('If-None-Match') === etag) {
+    return new Response(null, {
+      status: 304,
+      headers: {
+        'ETag': etag,
+        'sw-cached-at': String(cachedAt)
+      }
+    });
+  }
+
+  return cachedResponse;
+}
+
+/**
+ * Fetch from the network and store successful responses when given a cache
+ */
+async function fetchAndCache(request, cache) {
   try {
-    // Try to get fresh data first
     const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      // Cache successful responses
-      const cache = await caches.open(API_CACHE_NAME);
-      const responseToCache = networkResponse.clone();
-      
-      // Add timestamp for cache expiration
-      const modifiedResponse = new Response(responseToCache.body, {
-        status: responseToCache.status,
-        statusText: responseToCache.statusText,
-        headers: {
-          ...Object.fromEntries(responseToCache.headers),
-          'sw-cached-at': Date.now().toString()
-        }
-      });
-      
-      await cache.put(request, modifiedResponse);
-      return networkResponse;
+
+    if (networkResponse.ok && cache) {
+      await cache.put(request, withTimestamp(networkResponse, await networkResponse.clone().blob()));
     }
-    
-    throw new Error(`HTTP ${networkResponse.status}`);
+
+    // 304s, rate limits and missing paths are answers the page has to see
+    return networkResponse;
   } catch (error) {
-    console.log('Network request failed, trying cache:', error);
-    
-    // Try to serve from cache
-    const cache = await caches.open(API_CACHE_NAME);
-    const cachedResponse = await cache.match(request);
-    
-    if (cachedResponse) {
-      const cachedAt = cachedResponse.headers.get('sw-cached-at');
-      const isExpired = cachedAt && (Date.now() - parseInt(cachedAt) > API_CACHE_DURATION);
-      
-      if (!isExpired) {
-        console.log('Serving from cache');
-        return cachedResponse;
-      } else {
-        console.log('Cache expired, removing entry');
-        await cache.delete(request);
+    console.log('Network request failed with nothing cached:', error);
+
+    return offlineResponse(
+      self.navigator.onLine === false ? 'offline' : 'network_error',
+      'Unable to fetch repository data. Please check your internet connection.'
+    );
+  }
+}
+
+/**
+ * Refresh a stale entry with a conditional request
+ */
+async function revalidate(request, cache, cachedResponse, { notify = true } = {}) {
+  const etag = cachedResponse.headers.get('ETag');
+  const headers = new Headers(request.headers);
+
+  headers.delete('If-None-Match');
+  if (etag) {
+    headers.set('If-None-Match', etag);
+  }
+
+  try {
+    const networkResponse = await fetch(request.url, { headers });
+
+    if (networkResponse.status === 304) {
+      // Unchanged: restart the freshness window on the cached body
+      await cache.put(request, withTimestamp(cachedResponse, await cachedResponse.clone().blob()));
+      return;
+    }
+
+    if (!networkResponse.ok) return;
+
+    await cache.put(request, withTimestamp(networkResponse, await networkResponse.clone().blob()));
+
+    if (notify && networkResponse.headers.get('ETag') !== etag) {
+      await notifyClients({ type: 'API_UPDATED', url: request.url });
+    }
+  } catch (error) {
+    // Offline or unreachable: keep serving what we have
+    console.log('Revalidation failed, keeping cached response:', error);
+  }
+}
+
+/**
+ * Copy a response with the time it was cached
+ */
+function withTimestamp(response, body) {
+  const headers = new Headers(response.headers);
+  headers.set('sw-cached-at', Date.now().toString());
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * JSON error response understood by the page
+ */
+function offlineResponse(error, message) {
+  return new Response(
+    JSON.stringify({
+      error,
+      message,
+      offline: !self.navigator.onLine
+    }),
+    {
+      headers: { 'Content-Type': 'application/json' },
+      status: 503,
+      statusText: 'Service Unavailable'
+    }
+  );
+}
+
+/**
+ * Post a message to every open page
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+
+  // Replies are optional, so don't hold the worker open waiting for them
+  clients.forEach((client) => {
+    sendMessageToClient(client, message).catch(() => {});
+  });
+}
+
+/**
+ * Cache-first for images and other media, within the media budget
+ *
+ * Elements request media in no-cors mode, and opaque responses are both unmeasurable
+ * and heavily padded in quota accounting, so the worker refetches with CORS instead.
+ * Range requests (video seeking) are answered from the cache but never stored.
+ */
+async function cacheMedia(request, event) {
+  const key = mediaKey(request.url);
+  const cache = await caches.open(MEDIA_CACHE_NAME);
+  const cachedResponse = await cache.match(key);
+  const range = request.headers.get('Range');
+
+  if (cachedResponse) {
+    event.waitUntil(touchMedia(key));
+    return range ? rangeResponse(cachedResponse, range) : cachedResponse;
+  }
+
+  if (range) {
+    return fetch(request);
+  }
+
+  let response;
+
+  try {
+    response = await fetch(new Request(key, { mode: 'cors', credentials: 'omit' }));
+  } catch (error) {
+    // No CORS headers or no network; let the browser try the original request
+    return fetch(request);
+  }
+
+  if (response.ok) {
+    event.waitUntil(storeMedia(key, response.clone()).catch((error) => {
+      console.log('Failed to cache media:', error);
+    }));
+  }
+
+  return response;
+}
+
+/**
+ * Cache key for a media URL; fragments like #t=0.1 never reach the network
+ */
+function mediaKey(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Load the media index: url -> { size, lastUsed, pinned }
+ */
+function loadMediaIndex() {
+  if (!mediaIndexPromise) {
+    mediaIndexPromise = caches.open(MEDIA_CACHE_NAME)
+      .then((cache) => cache.match(MEDIA_INDEX_URL))
+      .then((response) => (response ? response.json() : {}))
+      .catch(() => ({}));
+  }
+
+  return mediaIndexPromise;
+}
+
+/**
+ * Persist the media index next to the entries it describes
+ */
+async function saveMediaIndex() {
+  const index = await loadMediaIndex();
+  const cache = await caches.open(MEDIA_CACHE_NAME);
+
+  await cache.put(MEDIA_INDEX_URL, new Response(JSON.stringify(index), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * Mark a cached entry as recently used
+ */
+async function touchMedia(key) {
+  const index = await loadMediaIndex();
+
+  if (index[key]) {
+    index[key].lastUsed = Date.now();
+    await saveMediaIndex();
+  }
+}
+
+/**
+ * Store a media response and evict older entries to stay within budget
+ */
+async function storeMedia(key, response, { pinned = false } = {}) {
+  const index = await loadMediaIndex();
+  const cache = await caches.open(MEDIA_CACHE_NAME);
+  const body = await response.blob();
+  const isPinned = pinned || Boolean(index[key] && index[key].pinned);
+
+  if (isPinned) {
+    const budget = await getMediaBudget();
+    const pinnedBytes = Object.entries(index)
+      .filter(([url, entry]) => entry.pinned && url !== key)
+      .reduce((total, [, entry]) => total + entry.size, 0);
+
+    if (pinnedBytes + body.size > budget) {
+      throw new Error('quota');
+    }
+  }
+
+  await cache.put(key, new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  }));
+
+  index[key] = { size: body.size, lastUsed: Date.now(), pinned: isPinned };
+
+  await enforceMediaBudget();
+  await saveMediaIndex();
+}
+
+/**
+ * Bytes the media cache may use: the fixed cap or a share of the origin quota
+ */
+async function getMediaBudget() {
+  try {
+    const { quota } = await self.navigator.storage.estimate();
+    if (quota) {
+      return Math.min(MEDIA_CACHE_MAX_BYTES, quota * MEDIA_CACHE_QUOTA_SHARE);
+    }
+  } catch (error) {
+    // storage.estimate() is unavailable in some browsers
+  }
+
+  return MEDIA_CACHE_MAX_BYTES;
+}
+
+/**
+ * Evict least recently used, unpinned entries until the cache fits the budget
+ */
+async function enforceMediaBudget() {
+  const index = await loadMediaIndex();
+  const cache = await caches.open(MEDIA_CACHE_NAME);
+  const budget = await getMediaBudget();
+  let total = Object.values(index).reduce((sum, entry) => sum + entry.size, 0);
+
+  const candidates = Object.entries(index)
+    .filter(([, entry]) => !entry.pinned)
+    .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+
+  for (const [url, entry] of candidates) {
+    if (total <= budget) break;
+
+    await cache.delete(url);
+    delete index[url];
+    total -= entry.size;
+  }
+}
+
+/**
+ * Answer a Range request from a full cached response
+ */
+async function rangeResponse(response, range) {
+  const body = await response.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+
+  if (!match || (!match[1] && !match[2])) {
+    return response;
+  }
+
+  // "bytes=-500" asks for the last 500 bytes
+  const start = match[1] ? parseInt(match[1], 10) : Math.max(body.size - parseInt(match[2], 10), 0);
+  const end = match[1] && match[2] ? Math.min(parseInt(match[2], 10), body.size - 1) : body.size - 1;
+
+  if (start >= body.size || start > end) {
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${body.size}` }
+    });
+  }
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || body.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${body.size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+// Requests from the page arrive with a MessagePort to answer on
+const MESSAGE_HANDLERS = {
+  /**
+   * Download files and keep them out of LRU eviction
+   */
+  async MEDIA_PIN({ urls = [] }) {
+    const index = await loadMediaIndex();
+    const cache = await caches.open(MEDIA_CACHE_NAME);
+    const failed = [];
+
+    for (const url of urls.map(mediaKey)) {
+      try {
+        if (index[url] && await cache.match(url)) {
+          index[url].pinned = true;
+          continue;
+        }
+
+        const response = await fetch(new Request(url, { mode: 'cors', credentials: 'omit' }));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        await storeMedia(url, response, { pinned: true });
+      } catch (error) {
+        failed.push({ url, reason: error.message });
       }
     }
-    
-    // Return error response
-    return new Response(
-      JSON.stringify({
-        error: 'network_error',
-        message: 'Unable to fetch repository data. Please check your internet connection.',
-        offline: !navigator.onLine
-      }),
-      {
-        headers: { 'Content-Type': 'application/json' },
-        status: 503,
-        statusText: 'Service Unavailable'
+
+    await saveMediaIndex();
+    return { failed, status: await getMediaStatus() };
+  },
+
+  /**
+   * Return files to normal LRU eviction
+   */
+  async MEDIA_UNPIN({ urls = [] }) {
+    const index = await loadMediaIndex();
+
+    urls.map(mediaKey).forEach((url) => {
+      if (index[url]) {
+        index[url].pinned = false;
       }
-    );
+    });
+
+    await enforceMediaBudget();
+    await saveMediaIndex();
+    return { status: await getMediaStatus() };
+  },
+
+  /**
+   * The user accepted the update banner
+   */
+  async SKIP_WAITING() {
+    await self.skipWaiting();
+    return { version: BUILD_MANIFEST.version };
+  },
+
+  async GET_VERSION() {
+    return { version: BUILD_MANIFEST.version };
+  },
+
+  async MEDIA_STATUS() {
+    return { status: await getMediaStatus() };
+  },
+
+  /**
+   * Drop cached media and API listings; the app shell stays
+   */
+  async CLEAR_CACHE() {
+    await caches.delete(MEDIA_CACHE_NAME);
+    await caches.delete(API_CACHE_NAME);
+    mediaIndexPromise = null;
+    return { status: await getMediaStatus() };
   }
+};
+
+/**
+ * Summarise storage use and which media files are cached
+ */
+async function getMediaStatus() {
+  const index = await loadMediaIndex();
+  let usage = null;
+  let quota = null;
+
+  try {
+    ({ usage, quota } = await self.navigator.storage.estimate());
+  } catch (error) {
+    // Leave usage unknown
+  }
+
+  return {
+    usage,
+    quota,
+    budget: await getMediaBudget(),
+    mediaBytes: Object.values(index).reduce((sum, entry) => sum + entry.size, 0),
+    entries: Object.entries(index).map(([url, entry]) => ({ url, pinned: entry.pinned }))
+  };
 }
 
-// Handle background sync for future enhancement
+// Message event - answer requests from the page
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  const port = event.ports && event.ports[0];
+  const handler = MESSAGE_HANDLERS[message.type];
+
+  if (!handler) return;
+
+  // Replies are optional: SKIP_WAITING is usually sent without a port
+  event.waitUntil(
+    handler(message)
+      .then((result) => port && port.postMessage(result))
+      .catch((error) => port && port.postMessage({ error: error.message }))
+  );
+});
+
+// Handle background sync: one-off when connectivity returns, periodic where permitted
 self.addEventListener('sync', (event) => {
   console.log('Background sync triggered:', event.tag);
   
-  if (event.tag === 'github-data-sync') {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(syncGitHubData());
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === SYNC_TAG) {
     event.waitUntil(syncGitHubData());
   }
 });
 
 /**
  * Background sync for GitHub data
+ *
+ * Refreshes the cached listing of every repository the page has registered and
+ * tells open pages which files are new or modified since they were last seen.
  */
 async function syncGitHubData() {
   try {
-    // Implementation for background data sync
     console.log('Syncing GitHub data in background...');
-    
-    // This could refresh cached repository data
-    // when the user comes back online
-    
+
+    const watched = (await readState('watch')) || [];
+
+    for (const repo of watched) {
+      const changes = await syncRepository(repo);
+
+      if (changes && (changes.added.length > 0 || changes.modified.length > 0)) {
+        await notifyClients({ type: 'REPO_CHANGES', repo, ...changes });
+      }
+    }
   } catch (error) {
     console.error('Background sync failed:', error);
   }
 }
 
+/**
+ * Refresh one repository's tree and diff it against the last seen SHAs
+ */
+async function syncRepository(repo) {
+  const repoInfo = await fetchApiJson(`/repos/${repo}`);
+  const branch = repoInfo.default_branch.split('/').map(encodeURIComponent).join('/');
+  const tree = await fetchApiJson(`/repos/${repo}/git/trees/${branch}?recursive=1`);
+  const seen = await readState(`seen/${repo}`);
+
+  // Nothing to compare against until the page has recorded a visit
+  if (!seen || !Array.isArray(tree.tree)) return null;
+
+  const added = [];
+  const modified = [];
+
+  tree.tree
+    .filter((entry) => entry.type === 'blob')
+    .forEach((entry) => {
+      const seenSha = seen.shas[entry.path];
+
+      if (!seenSha) {
+        added.push(entry.path);
+      } else if (seenSha !== entry.sha) {
+        modified.push(entry.path);
+      }
+    });
+
+  return { added, modified };
+}
+
+/**
+ * Fetch an API endpoint through the API cache, revalidating with the cached ETag
+ */
+async function fetchApiJson(endpoint) {
+  const request = new Request(`https://api.github.com${endpoint}`, {
+    headers: { 'Accept': 'application/vnd.github.v3+json' }
+  });
+  const cache = await caches.open(API_CACHE_NAME);
+  const cachedResponse = await cache.match(request, { ignoreVary: true });
+  const etag = cachedResponse && cachedResponse.headers.get('ETag');
+  const headers = new Headers(request.headers);
+
+  if (etag) {
+    headers.set('If-None-Match', etag);
+  }
+
+  const networkResponse = await fetch(request.url, { headers });
+
+  if (networkResponse.status === 304 && cachedResponse) {
+    await cache.put(request, withTimestamp(cachedResponse, await cachedResponse.clone().blob()));
+    return cachedResponse.json();
+  }
+
+  if (!networkResponse.ok) {
+    throw new Error(`HTTP ${networkResponse.status} for ${endpoint}`);
+  }
+
+  await cache.put(request, withTimestamp(networkResponse, await networkResponse.clone().blob()));
+  return networkResponse.json();
+}
+
+/**
+ * Read a state record written by the page or the worker
+ */
+async function readState(key) {
+  const cache = await caches.open(STATE_CACHE_NAME);
+  const response = await cache.match(STATE_URL_PREFIX + key);
+
+  return response ? response.json() : null;
+}
+
 // Send message to client
 function sendMessageToClient(client, message) {
   return new Promise((resolve, reject) => {